@@ -76,6 +76,7 @@ class URLScraper {
       for (let attempt = 1; attempt <= this.options.maxRetries; attempt++) {
         try {
           const response = await axios.get(url, {
+            signal: options.signal,
             timeout: this.options.timeout,
             maxContentLength: this.options.maxContentLength,
             headers: {
@@ -105,8 +106,11 @@ class URLScraper {
 
         } catch (error) {
           lastError = error;
+          if (options.signal?.aborted) {
+            break;
+          }
           if (attempt < this.options.maxRetries) {
-            await this.delay(this.options.delay * attempt);
+            await this.delay(this.options.delay * attempt, options.signal);
           }
         }
       }
@@ -223,28 +227,51 @@ class URLScraper {
     return headings.slice(0, 20); // Limit to 20 headings
   }
 
+  // options.onProgress({ completed, total, index, url, result }) fires as each URL finishes;
+  // options.signal stops the batch early, returning the results gathered so far
   async scrapeBatch(urls, options = {}) {
     const batchSize = options.batchSize || 5;
     const results = [];
+    let completed = 0;
     
     for (let i = 0; i < urls.length; i += batchSize) {
+      if (options.signal?.aborted) break;
+
       const batch = urls.slice(i, i + batchSize);
       const batchResults = await Promise.all(
-        batch.map(url => this.scrapeUrl(url, options))
+        batch.map(async (url, j) => {
+          const result = await this.scrapeUrl(url, options);
+          completed++;
+          if (options.onProgress) {
+            await options.onProgress({ completed, total: urls.length, index: i + j, url, result });
+          }
+          return result;
+        })
       );
       results.push(...batchResults);
       
       // Delay between batches
       if (i + batchSize < urls.length) {
-        await this.delay(1000);
+        await this.delay(1000, options.signal);
       }
     }
 
     return results;
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // Resolves after ms, or early when the signal aborts
+  delay(ms, signal) {
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
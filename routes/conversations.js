@@ -0,0 +1,94 @@
+import express from 'express';
+import { getConversationStore, validateMessages } from '../src/storage/conversationStore.js';
+
+const router = express.Router();
+
+// List conversations, most recently updated first
+router.get('/', async (req, res) => {
+  try {
+    const store = await getConversationStore();
+    const conversations = await store.list();
+    res.json({ success: true, conversations, total: conversations.length });
+  } catch (error) {
+    req.app.locals.logger.error('Conversation list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list conversations' });
+  }
+});
+
+// Create a conversation, optionally seeded with messages
+router.post('/', async (req, res) => {
+  try {
+    const { title, messages = [], metadata = {} } = req.body;
+
+    if (messages.length > 0) {
+      const invalid = validateMessages(messages);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+    }
+
+    const store = await getConversationStore();
+    const conversation = await store.create({ title, messages, metadata });
+    res.status(201).json({ success: true, conversation });
+  } catch (error) {
+    req.app.locals.logger.error('Conversation create error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create conversation' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const store = await getConversationStore();
+    const conversation = await store.get(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: `Conversation '${req.params.id}' not found` });
+    }
+
+    res.json({ success: true, conversation });
+  } catch (error) {
+    req.app.locals.logger.error('Conversation get error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get conversation' });
+  }
+});
+
+// Append messages: { messages: [...] } or a single { role, content }
+router.post('/:id/messages', async (req, res) => {
+  try {
+    const messages = req.body.messages || [req.body];
+    const invalid = validateMessages(messages);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const store = await getConversationStore();
+    const conversation = await store.appendMessages(req.params.id, messages);
+
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: `Conversation '${req.params.id}' not found` });
+    }
+
+    res.json({ success: true, conversation });
+  } catch (error) {
+    req.app.locals.logger.error('Conversation append error:', error);
+    res.status(500).json({ success: false, error: 'Failed to append messages' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const store = await getConversationStore();
+    const deleted = await store.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `Conversation '${req.params.id}' not found` });
+    }
+
+    res.json({ success: true, deleted: req.params.id });
+  } catch (error) {
+    req.app.locals.logger.error('Conversation delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete conversation' });
+  }
+});
+
+export default router;
@@ -1,120 +1,32 @@
 import express from 'express';
-import axios from 'axios';
-import URLScraper from '../lib/scraper.js';
-import EmbeddingService from '../src/embeddingService.js';
+import { getToolRegistry } from '../src/mcp/registry.js';
+import { getEmbeddingService } from '../src/mcp/services.js';
+import MCPServer from '../src/mcp/server.js';
+import { ErrorCodes } from '../src/mcp/errors.js';
+import StreamableHttpTransport from '../src/mcp/transports/streamableHttp.js';
 
 const router = express.Router();
 
-// Initialize embedding service
-let embeddingService = null;
-
-async function initializeEmbeddingService() {
-  if (!embeddingService) {
-    embeddingService = new EmbeddingService();
-    await embeddingService.initialize();
-  }
-  return embeddingService;
-}
-
-// MCP tool registration
-const MCP_TOOLS = [
-  {
-    name: 'url_scraper',
-    description: 'Scrape content from URLs while respecting robots.txt',
-    input_schema: {
-      type: 'object',
-      properties: {
-        url: {
-          type: 'string',
-          description: 'The URL to scrape'
-        },
-        options: {
-          type: 'object',
-          properties: {
-            respectRobots: { type: 'boolean', default: true },
-            timeout: { type: 'number', default: 30000 },
-            maxRetries: { type: 'number', default: 3 }
-          }
-        }
-      },
-      required: ['url']
-    }
-  },
-  {
-    name: 'batch_url_scraper',
-    description: 'Scrape multiple URLs in batch',
-    input_schema: {
-      type: 'object',
-      properties: {
-        urls: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Array of URLs to scrape (max 50)'
-        },
-        options: {
-          type: 'object',
-          properties: {
-            batchSize: { type: 'number', default: 5 },
-            respectRobots: { type: 'boolean', default: true }
-          }
-        }
-      },
-      required: ['urls']
-    }
-  },
-  {
-    name: 'embedding_search',
-    description: 'Search for similar content using embeddings',
-    input_schema: {
-      type: 'object',
-      properties: {
-        query: {
-          type: 'string',
-          description: 'Search query text'
-        },
-        options: {
-          type: 'object',
-          properties: {
-            limit: { type: 'number', default: 10 },
-            threshold: { type: 'number', default: 0.7 }
-          }
-        }
-      },
-      required: ['query']
-    }
-  },
-  {
-    name: 'process_content',
-    description: 'Process scraped content and generate embeddings',
-    input_schema: {
-      type: 'object',
-      properties: {
-        content: {
-          type: 'object',
-          description: 'Scraped content object'
-        },
-        metadata: {
-          type: 'object',
-          description: 'Metadata about the content'
-        }
-      },
-      required: ['content']
-    }
-  },
-  {
-    name: 'embedding_stats',
-    description: 'Get embedding service statistics',
-    input_schema: {
-      type: 'object',
-      properties: {},
-      required: []
-    }
-  }
-];
+// Session-based Streamable HTTP transport (POST/GET/DELETE on one endpoint)
+const streamableHttp = new StreamableHttpTransport();
 
 // Get available tools
-router.get('/tools', (req, res) => {
-  res.json({ tools: MCP_TOOLS });
+router.get('/tools', async (req, res) => {
+  try {
+    const registry = await getToolRegistry();
+    res.json({
+      tools: registry.list().map(({ name, description, annotations, input_schema, output_schema }) => ({
+        name,
+        description,
+        annotations,
+        input_schema,
+        output_schema
+      }))
+    });
+  } catch (error) {
+    req.app.locals.logger.error('Failed to load MCP tools:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Execute tool
@@ -123,53 +35,109 @@ router.post('/tools/:toolName/execute', async (req, res) => {
     const { toolName } = req.params;
     const { input } = req.body;
 
-    switch (toolName) {
-      case 'url_scraper':
-        const scraper = new URLScraper(input.options || {});
-        const result = await scraper.scrapeUrl(input.url, input.options);
-        res.json({ result });
-        break;
-
-      case 'batch_url_scraper':
-        const batchScraper = new URLScraper(input.options || {});
-        const batchResults = await batchScraper.scrapeBatch(input.urls, input.options);
-        res.json({ result: { results: batchResults } });
-        break;
-
-      case 'embedding_search':
-        const service = await initializeEmbeddingService();
-        const searchResults = await service.searchSimilar(input.query, input.options);
-        res.json({ result: searchResults });
-        break;
-
-      case 'process_content':
-        const embeddingService = await initializeEmbeddingService();
-        const processedResult = await embeddingService.processContent(input.content, input.metadata);
-        res.json({ result: processedResult });
-        break;
-
-      case 'embedding_stats':
-        const statsService = await initializeEmbeddingService();
-        const stats = await statsService.getStats();
-        res.json({ result: stats });
-        break;
-
-      default:
-        res.status(404).json({ error: 'Tool not found' });
+    const registry = await getToolRegistry();
+
+    if (!registry.get(toolName)) {
+      return res.status(404).json({ error: 'Tool not found' });
     }
+
+    // Stop long-running tools when the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const result = await registry.execute(toolName, input, { signal: controller.signal });
+    res.json({ result });
   } catch (error) {
+    if (error.code === ErrorCodes.INVALID_PARAMS) {
+      return res.status(400).json({ error: error.message, details: error.data?.errors || [] });
+    }
+
     req.app.locals.logger.error(`MCP tool execution error (${req.params.toolName}):`, error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// MCP JSON-RPC 2.0 endpoint (initialize, ping, tools/list, tools/call)
+router.post('/rpc', async (req, res) => {
+  try {
+    const payload = req.body;
+
+    // The body parsed (parse failures are answered below), but it is not a request object or batch
+    if (payload === undefined || payload === null || typeof payload !== 'object' || (!Array.isArray(payload) && Object.keys(payload).length === 0)) {
+      return res.status(400).json({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: ErrorCodes.INVALID_REQUEST, message: 'Invalid Request' }
+      });
+    }
+
+    // Each request gets its own protocol handler, so request ids, cancellation, initialize and
+    // logging/setLevel never reach another client's requests
+    const mcpServer = new MCPServer();
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    let response;
+    try {
+      response = await mcpServer.handle(payload, { signal: controller.signal });
+    } finally {
+      mcpServer.close();
+    }
+
+    // Notifications only: nothing to return
+    if (response === null) {
+      return res.status(202).end();
+    }
+
+    res.json(response);
+  } catch (error) {
+    req.app.locals.logger.error('MCP JSON-RPC error:', error);
+    res.status(500).json({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: ErrorCodes.INTERNAL_ERROR, message: 'Internal error' }
+    });
+  }
+});
+
+// MCP Streamable HTTP endpoint with SSE streaming and Mcp-Session-Id sessions
+router.route('/stream')
+  .post(async (req, res) => {
+    try {
+      await streamableHttp.handlePost(req, res);
+    } catch (error) {
+      req.app.locals.logger.error('MCP stream POST error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          jsonrpc: '2.0',
+          id: null,
+          error: { code: ErrorCodes.INTERNAL_ERROR, message: 'Internal error' }
+        });
+      } else {
+        res.end();
+      }
+    }
+  })
+  .get((req, res) => streamableHttp.handleGet(req, res).catch(error => {
+    req.app.locals.logger.error('MCP stream GET error:', error);
+    if (!res.headersSent) res.status(500).end();
+  }))
+  .delete((req, res) => streamableHttp.handleDelete(req, res).catch(error => {
+    req.app.locals.logger.error('MCP stream DELETE error:', error);
+    if (!res.headersSent) res.status(500).end();
+  }));
+
 // Send scraped content to LM Studio (with embedding processing)
 router.post('/send-to-lmstudio', async (req, res) => {
   try {
     const { content, metadata } = req.body;
 
     // Process content through our embedding service first
-    const service = await initializeEmbeddingService();
+    const service = await getEmbeddingService();
     const processedResult = await service.processContent(content, metadata);
 
     req.app.locals.logger.info('Content processed and stored with embeddings', { 
@@ -195,7 +163,7 @@ router.post('/send-to-lmstudio', async (req, res) => {
 // Get embedding statistics
 router.get('/embedding-stats', async (req, res) => {
   try {
-    const service = await initializeEmbeddingService();
+    const service = await getEmbeddingService();
     const stats = await service.getStats();
     res.json({ 
       success: true, 
@@ -222,4 +190,26 @@ router.get('/embedding-stats', async (req, res) => {
   }
 });
 
+// express.json() rejects bodies it cannot parse before any route runs, so mount this after the router
+// on the JSON-RPC endpoints to answer in JSON-RPC terms. Strict mode also rejects valid JSON that is not
+// an object or array (e.g. `5`); that is an Invalid Request rather than a Parse error.
+export function rpcParseErrorHandler(error, req, res, next) {
+  if (error.type !== 'entity.parse.failed') return next(error);
+
+  let parsed = true;
+  try {
+    JSON.parse(error.body);
+  } catch (parseError) {
+    parsed = false;
+  }
+
+  res.status(400).json({
+    jsonrpc: '2.0',
+    id: null,
+    error: parsed
+      ? { code: ErrorCodes.INVALID_REQUEST, message: 'Invalid Request' }
+      : { code: ErrorCodes.PARSE_ERROR, message: 'Parse error' }
+  });
+}
+
 export default router;
\ No newline at end of file
@@ -1,65 +1,45 @@
-// Fix vector store index by cleaning up orphaned references
-import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
+// Compact the vector store segments, dropping the space left by overwritten and deleted embeddings.
+// Opening the store also migrates a store still kept as one JSON file per embedding.
+import VectorStore from '../src/storage/vectorStore.js';
+import { getConfig } from '../src/utils/config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-async function cleanVectorStoreIndex() {
-  console.log('🧹 Cleaning Vector Store Index...\n');
+async function cleanVectorStore() {
+  console.log('🧹 Compacting Vector Store...\n');
 
   try {
-    const embeddingsDir = path.resolve(__dirname, '../data/embeddings');
-    const indexPath = path.join(embeddingsDir, 'index.json');
-
-    // Load current index
-    const index = await fs.readJson(indexPath);
-    console.log(`📊 Current index has ${Object.keys(index).length} entries`);
-
-    // Check which files actually exist
-    const actualFiles = await fs.readdir(embeddingsDir);
-    const jsonFiles = actualFiles.filter(f => f.endsWith('.json') && f !== 'index.json');
-    console.log(`📁 Found ${jsonFiles.length} actual embedding files`);
-
-    // Clean index - only keep entries for files that exist
-    const cleanedIndex = {};
-    let removed = 0;
-    let kept = 0;
+    const config = await getConfig();
+    const vectorStore = new VectorStore(config.storage?.vectorStore?.path);
+    await vectorStore.initialize({
+      compression: config.storage?.compression,
+      segments: config.storage?.segments
+    });
 
-    for (const [id, entry] of Object.entries(index)) {
-      const filename = `${id}.json`;
-      if (jsonFiles.includes(filename)) {
-        cleanedIndex[id] = entry;
-        kept++;
-      } else {
-        console.log(`   🗑️  Removing orphaned entry: ${id}`);
-        removed++;
-      }
-    }
+    const before = await vectorStore.getStats();
+    console.log(`📊 Store has ${before.totalEmbeddings} embeddings in ${before.storage.segments} segments`);
+    console.log(`📁 ${before.totalDiskUsage} bytes on disk, ${before.storage.deadBytes} of them unused`);
 
-    // Save cleaned index
-    await fs.writeJson(indexPath, cleanedIndex, { spaces: 2 });
+    await vectorStore.compact();
+    const after = await vectorStore.getStats();
 
-    console.log(`\n✅ Index cleaned successfully!`);
-    console.log(`   📌 Kept: ${kept} entries`);
-    console.log(`   🗑️  Removed: ${removed} orphaned entries`);
-    console.log(`   💾 Updated index saved`);
+    console.log(`\n✅ Vector store compacted!`);
+    console.log(`   📌 Embeddings: ${after.totalEmbeddings}`);
+    console.log(`   🗑️  Reclaimed: ${before.totalDiskUsage - after.totalDiskUsage} bytes`);
+    console.log(`   💾 Now ${after.totalDiskUsage} bytes in ${after.storage.segments} segments`);
 
-    return { kept, removed };
+    return { embeddings: after.totalEmbeddings, reclaimed: before.totalDiskUsage - after.totalDiskUsage };
 
   } catch (error) {
-    console.error('❌ Failed to clean index:', error.message);
+    console.error('❌ Failed to compact vector store:', error.message);
     throw error;
   }
 }
 
 // CLI usage
 if (import.meta.url === `file://${process.argv[1]}`) {
-  cleanVectorStoreIndex().catch(error => {
+  cleanVectorStore().catch(error => {
     console.error('❌ Cleanup failed:', error.message);
     process.exit(1);
   });
 }
 
-export default cleanVectorStoreIndex;
+export default cleanVectorStore;
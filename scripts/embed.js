@@ -35,6 +35,8 @@ async function generateEmbeddings(inputDir = '../data/raw', outputDir = '../data
     console.log('1. Initializing EmbeddingService...');
     const embeddingService = new EmbeddingService();
     await embeddingService.initialize();
+    // Another process (e.g. the running server) holds the store's lock
+    embeddingService.vectorStore.segments.assertWritable();
     console.log(`   ✅ Service initialized with provider: ${embeddingService.currentProvider?.name || 'Unknown'}\n`);
 
     // Load scraped data
@@ -69,7 +71,7 @@ async function generateEmbeddings(inputDir = '../data/raw', outputDir = '../data
         }
 
         // Process content and generate embeddings
-        const result = await embeddingService.processContent(item.content, item.metadata);
+        const result = await embeddingService.processContent(item.content, { url: item.url, ...item.metadata });
 
         if (result.skipped) {
           console.log(`   ⏭️  Skipped - ${result.reason}`);
@@ -98,6 +100,9 @@ async function generateEmbeddings(inputDir = '../data/raw', outputDir = '../data
       }
     }
 
+    // Persist cache access times and the ANN index for the next run
+    await embeddingService.flush();
+
     // Save summary
     const summary = {
       timestamp: new Date().toISOString(),
@@ -106,6 +111,7 @@ async function generateEmbeddings(inputDir = '../data/raw', outputDir = '../data
       skipped,
       failed,
       provider: embeddingService.currentProvider?.name,
+      cache: embeddingService.generator.cache.getStats(),
       results: embeddingResults.map(r => ({
         source: r.source,
         embeddingCount: r.embeddings?.length || 0,
@@ -122,6 +128,7 @@ async function generateEmbeddings(inputDir = '../data/raw', outputDir = '../data
     console.log(`   ⏭️  Skipped: ${skipped}`);
     console.log(`   ❌ Failed: ${failed}`);
     console.log(`   🔮 Provider: ${embeddingService.currentProvider?.name || 'Unknown'}`);
+    console.log(`   💾 Cache: ${summary.cache.hits} hits, ${summary.cache.misses} misses`);
     console.log(`   📁 Summary saved: ${path.basename(summaryPath)}`);
 
     // Check vector store status
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// MCP server over stdio, for clients that spawn the toolset as a local process (e.g. LM Studio mcp.json)
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.dirname(__dirname);
+
+// Clients spawn us from arbitrary directories; data/, logs/ and .env are project-relative
+process.chdir(projectRoot);
+dotenv.config({ path: path.join(projectRoot, '.env') });
+
+async function startStdioServer() {
+  // Imported after chdir so file-based log transports resolve inside the project
+  const { default: logger, useStderrForConsole } = await import('../src/utils/logger.js');
+  const { default: MCPServer } = await import('../src/mcp/server.js');
+  const { default: StdioTransport } = await import('../src/mcp/transports/stdio.js');
+  const { flushEmbeddingService } = await import('../src/mcp/services.js');
+
+  useStderrForConsole();
+
+  const server = new MCPServer();
+  const transport = new StdioTransport();
+
+  const shutdown = async reason => {
+    try {
+      await flushEmbeddingService();
+    } catch (error) {
+      logger.error('Failed to persist embedding state on shutdown:', error);
+    }
+    logger.info(reason);
+    process.exit(0);
+  };
+
+  transport.onclose = async () => {
+    await server.drain();
+    await shutdown('MCP stdio client disconnected');
+  };
+
+  process.once('SIGINT', () => shutdown('MCP stdio server interrupted'));
+  process.once('SIGTERM', () => shutdown('MCP stdio server terminated'));
+
+  server.connect(transport);
+  logger.info('MCP stdio server ready');
+}
+
+startStdioServer().catch(error => {
+  console.error('❌ MCP stdio server failed to start:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+// Re-embed every chunk in the vector store with the current embedding model, e.g. after changing
+// the configured model or provider. Chunks are read, embedded and written one page at a time, so memory
+// stays flat however large the store is. The collection moves to the new model with the first page
+// written; a page that fails to embed, or comes back from a different model, stops the run before it is
+// written. Chunks not yet rewritten stay on the old model (skipped by searches until migrated), and
+// running the script again finishes the migration.
+import EmbeddingService from '../src/embeddingService.js';
+import logger from '../src/utils/logger.js';
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--provider') options.provider = argv[++i];
+    if (argv[i] === '--batch-size') options.batchSize = Number(argv[++i]);
+  }
+  return options;
+}
+
+const modelKey = result => `${result.provider}/${result.model}/${result.dimensions}`;
+
+// Stored text for a page of ids; chunks without any are reported and left out
+async function loadPage(vectorStore, ids, report) {
+  const entries = [];
+  for (const id of ids) {
+    const stored = await vectorStore.getEmbedding(id);
+    const text = stored.metadata?.cleanedContent || stored.metadata?.summary;
+    if (text) {
+      entries.push({ id, text, metadata: stored.metadata });
+    } else if (report) {
+      console.log(`   ⚠️  ${id} has no stored text and cannot be re-embedded`);
+    }
+  }
+  return entries;
+}
+
+// `options.embeddingService` runs against an already initialized service instead of opening the
+// configured store; `options.batchSize` is the number of chunks read, embedded and written at a time
+async function reembed(options = {}) {
+  console.log('🔁 Starting Re-embedding Migration...\n');
+
+  const embeddingService = options.embeddingService ?? new EmbeddingService();
+  if (!options.embeddingService) await embeddingService.initialize();
+  const { generator, vectorStore } = embeddingService;
+  const pageSize = Math.max(1, options.batchSize || 256);
+  let target = null;
+
+  try {
+    // Another process (e.g. the running server) holds the store's lock
+    vectorStore.segments.assertWritable();
+
+    if (options.provider && !generator.providers.some(provider => provider.name === options.provider)) {
+      throw new Error(`Unknown embedding provider: ${options.provider}`);
+    }
+
+    const previous = vectorStore.collection;
+    console.log(`📦 Current collection: ${previous
+      ? `${previous.provider}/${previous.model || 'unknown model'} (${previous.dimensions} dimensions)`
+      : 'none'}`);
+
+    const ids = (await vectorStore.listEmbeddings()).map(entry => entry.id);
+    const pages = [];
+    for (let offset = 0; offset < ids.length; offset += pageSize) {
+      pages.push(ids.slice(offset, offset + pageSize));
+    }
+    console.log(`📁 Found ${ids.length} chunks in ${pages.length} pages of up to ${pageSize}\n`);
+
+    // The local provider's IDF table is a snapshot of the stored chunks; recount it before re-weighting them
+    if (generator.learnsFromCorpus()) {
+      generator.beginRebuild();
+      for (const page of pages) {
+        generator.learnDocuments((await loadPage(vectorStore, page, false)).map(entry => entry.text));
+      }
+      await generator.commitRebuild();
+    }
+
+    let reembedded = 0;
+    let missingText = 0;
+    const stop = reason => new Error(reembedded === 0
+      ? `${reason}; the vector store was not changed`
+      : `${reason}; ${reembedded} chunks were re-embedded, run the script again to finish`);
+
+    for (const page of pages) {
+      const entries = await loadPage(vectorStore, page, true);
+      missingText += page.length - entries.length;
+      if (entries.length === 0) continue;
+
+      const results = await generator.generateEmbeddings(entries.map(entry => entry.text), { provider: options.provider });
+
+      // Refuse to write a page that would leave the collection mixed
+      const failed = results.filter(result => !result || result.error);
+      if (failed.length > 0) {
+        throw stop(`${failed.length} chunks failed to embed`);
+      }
+      const models = new Set(results.map(modelKey));
+      if (models.size > 1) {
+        throw stop(`Chunks were embedded by more than one model (${[...models].join(', ')})`);
+      }
+
+      if (!target) {
+        if (options.provider && results[0].provider !== options.provider) {
+          throw stop(`Provider ${options.provider} was unavailable`);
+        }
+        target = results[0];
+        console.log(`💾 Writing chunks as they are re-embedded with ${target.provider}/${target.model || 'unknown model'}; if this is interrupted, run the script again to finish`);
+        await vectorStore.setCollection(target);
+      } else if (modelKey(results[0]) !== modelKey(target)) {
+        throw stop(`Embedding provider changed to ${results[0].provider} mid-run`);
+      }
+
+      for (const [i, entry] of entries.entries()) {
+        await vectorStore.saveEmbedding(entry.id, results[i], entry.metadata);
+      }
+      reembedded += entries.length;
+      console.log(`   🔮 Re-embedded ${reembedded}/${ids.length}`);
+    }
+
+    if (!target) {
+      console.log('⚠️  Nothing to re-embed');
+      return { reembedded: 0, missingText };
+    }
+
+    console.log(`\n🎉 Re-embedding Complete!`);
+    console.log(`   ✅ Re-embedded: ${reembedded}`);
+    console.log(`   ⚠️  Without text: ${missingText}`);
+    console.log(`   🔮 Collection: ${target.provider}/${target.model || 'unknown model'} (${target.dimensions} dimensions)`);
+
+    return { reembedded, missingText, collection: vectorStore.collection };
+  } finally {
+    // Persist the ANN index and cache state for the pages already written
+    if (target) await embeddingService.flush();
+    if (!options.embeddingService) generator.close();
+  }
+}
+
+// CLI usage
+if (import.meta.url === `file://${process.argv[1]}`) {
+  reembed(parseArgs(process.argv.slice(2))).catch(error => {
+    logger.error('Re-embedding failed:', error);
+    console.error('❌ Re-embedding failed:', error.message);
+    process.exit(1);
+  });
+}
+
+export default reembed;
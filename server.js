@@ -7,10 +7,22 @@ import dotenv from 'dotenv';
 import winston from 'winston';
 
 import scraperRoutes from './routes/scraper.js';
-import mcpRoutes from './routes/mcp.js';
+import mcpRoutes, { rpcParseErrorHandler } from './routes/mcp.js';
 import knowledgeBaseRoutes from './routes/knowledgeBase.js';
+import conversationRoutes from './routes/conversations.js';
 import { errorHandler } from './middleware/errorHandler.js';
-import EmbeddingService from './src/embeddingService.js';
+import ChatCompletionClient from './src/chat/client.js';
+import { retrieveContext, buildContextBlock, injectContext, messageText } from './src/chat/retrieval.js';
+import { extractCitations } from './src/chat/citations.js';
+import { relayStreamRound, roundMessage, writeToolCallDelta, finishChatStream, writeChatStreamError } from './src/chat/stream.js';
+import { mergeTools, runToolLoop } from './src/chat/tools.js';
+import { getToolRegistry } from './src/mcp/registry.js';
+import { getEmbeddingService, flushEmbeddingService, readyEmbeddingService } from './src/mcp/services.js';
+import { historyMessages, recordTurn } from './src/chat/history.js';
+import { getConversationStore, validateMessages } from './src/storage/conversationStore.js';
+import { getConfig } from './src/utils/config.js';
+import { listModels } from './src/modelCatalog.js';
+import { validateEmbeddingRequest, truncateEmbedding, encodeEmbedding, deterministicEmbedding } from './src/embeddings/format.js';
 
 dotenv.config();
 
@@ -21,17 +33,6 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const LM_STUDIO_URL = process.env.LM_STUDIO_URL || 'http://192.168.0.178:7777';
 
-// Initialize embedding service
-let embeddingService = null;
-
-async function initializeEmbeddingService() {
-  if (!embeddingService) {
-    embeddingService = new EmbeddingService();
-    await embeddingService.initialize();
-  }
-  return embeddingService;
-}
-
 // Logger setup
 const logger = winston.createLogger({
   level: 'info',
@@ -62,7 +63,8 @@ app.use(helmet({
 
 app.use(cors({
   origin: [LM_STUDIO_URL, 'http://localhost:3000'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Mcp-Session-Id', 'X-Conversation-Id']
 }));
 
 // Body parsing middleware
@@ -82,19 +84,22 @@ app.locals.logger = logger;
 // Routes
 app.use('/api/scraper', scraperRoutes);
 app.use('/api/mcp', mcpRoutes);
+app.use(['/api/mcp/rpc', '/api/mcp/stream'], rpcParseErrorHandler);
 app.use('/api/knowledge-base', knowledgeBaseRoutes);
+app.use('/api/conversations', conversationRoutes);
 
-// OpenAI-compatible chat completions endpoint
+// OpenAI-compatible chat completions endpoint (retrieval-augmented, forwarded to LM Studio)
 app.post('/v1/chat/completions', async (req, res) => {
   try {
-    const { messages, model, temperature, max_tokens, stream } = req.body;
+    const { messages, model, temperature, max_tokens, stream, rag, tools, tool_choice, conversation_id: conversationId, ...rest } = req.body;
     
     logger.info('Chat completion request received', {
       model: model || 'default',
       messageCount: messages?.length || 0,
       temperature,
       max_tokens,
-      stream: !!stream
+      stream: !!stream,
+      conversationId
     });
 
     // Validate required fields
@@ -108,46 +113,228 @@ app.post('/v1/chat/completions', async (req, res) => {
       });
     }
 
-    // For now, return a mock response in OpenAI format
-    // In production, this would forward to LM Studio or process locally
-    const response = {
-      id: `chatcmpl-${Date.now()}`,
-      object: 'chat.completion',
-      created: Math.floor(Date.now() / 1000),
-      model: model || 'llama-3.2-3b-claude-3.7-sonnet-reasoning-distilled@q4_0',
-      choices: [{
-        index: 0,
-        message: {
-          role: 'assistant',
-          content: 'This is a placeholder response. The BambiSleep chat system is ready to process your request with the scraped wiki content.'
-        },
-        finish_reason: 'stop'
-      }],
-      usage: {
-        prompt_tokens: 50,
-        completion_tokens: 25,
-        total_tokens: 75
+    const config = await getConfig();
+    const chatConfig = config.chat || {};
+    const retrievalConfig = chatConfig.retrieval || {};
+
+    // With a conversation_id the request carries only the new messages; stored history goes first
+    let conversationStore = null;
+    let chatMessages = messages;
+    if (conversationId !== undefined) {
+      const invalid = validateMessages(messages);
+      if (invalid) {
+        return res.status(400).json({
+          error: { message: invalid, type: 'invalid_request_error', code: 'invalid_messages' }
+        });
+      }
+
+      conversationStore = await getConversationStore();
+      const conversation = await conversationStore.get(conversationId);
+      if (!conversation) {
+        return res.status(404).json({
+          error: {
+            message: `Conversation '${conversationId}' not found`,
+            type: 'invalid_request_error',
+            code: 'conversation_not_found'
+          }
+        });
+      }
+      chatMessages = [...historyMessages(conversation), ...messages];
+      res.setHeader('X-Conversation-Id', conversationId);
+    }
+
+    // Retrieve context from the vector store; chat still works if retrieval fails
+    let contextChunks = [];
+    if (retrievalConfig.enabled !== false && rag !== false) {
+      try {
+        const service = await getEmbeddingService();
+        contextChunks = await retrieveContext(service, chatMessages, retrievalConfig);
+      } catch (retrievalError) {
+        logger.warn('Context retrieval failed, continuing without context:', retrievalError.message);
       }
+    }
+
+    const augmentedMessages = injectContext(
+      chatMessages,
+      contextChunks.length > 0 ? buildContextBlock(contextChunks) : null
+    );
+
+    // Abort the upstream call if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    // Advertise the MCP tool registry alongside any client tools; tool_choice "none" opts out
+    const toolsConfig = chatConfig.tools || {};
+    const registry = toolsConfig.enabled !== false && tool_choice !== 'none' ? await getToolRegistry() : null;
+    const advertisedTools = mergeTools(tools, registry ? registry.list() : []);
+
+    const client = new ChatCompletionClient(chatConfig);
+
+    // Saving the turn (and any summarization) happens after the response has been sent
+    const saveTurn = reply => {
+      if (!conversationStore) return;
+      recordTurn(conversationStore, client, conversationId, messages, reply, chatConfig.conversations)
+        .catch(error => logger.error(`Failed to save turn for conversation ${conversationId}:`, error));
+    };
+
+    const upstreamBody = {
+      ...rest,
+      model,
+      temperature,
+      max_tokens,
+      ...(advertisedTools.length > 0 ? { tools: advertisedTools } : {})
+    };
+
+    const loopOptions = {
+      messages: augmentedMessages,
+      registry,
+      toolChoice: tool_choice,
+      maxIterations: toolsConfig.maxIterations ?? 5,
+      maxResultChars: toolsConfig.maxResultChars,
+      signal: controller.signal
     };
 
     if (stream) {
-      // Handle streaming response
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-      
-      res.write(`data: ${JSON.stringify(response)}\n\n`);
-      res.write('data: [DONE]\n\n');
-      res.end();
-    } else {
-      res.json(response);
+      const result = await runToolLoop({
+        ...loopOptions,
+        complete: async (conversation, overrides) => {
+          const round = await relayStreamRound(
+            res,
+            client.streamCompletion({ ...upstreamBody, ...overrides, messages: conversation }, { signal: controller.signal }),
+            { signal: controller.signal }
+          );
+          return { ...round, message: roundMessage(round) };
+        }
+      });
+
+      if (controller.signal.aborted) {
+        logger.info('Chat completion cancelled: client disconnected');
+        return;
+      }
+
+      const citations = contextChunks.length > 0 ? extractCitations(result.content, contextChunks) : undefined;
+
+      // Only the client's tool calls; server-side ones already ran in the loop
+      const clientToolCalls = result.message.tool_calls || [];
+      if (clientToolCalls.length > 0) writeToolCallDelta(res, { ...result, toolCalls: clientToolCalls });
+      finishChatStream(res, { ...result, citations });
+      saveTurn({ ...result.message, citations });
+
+      logger.info('Chat completion streamed', {
+        model: result.model,
+        contextChunks: contextChunks.length,
+        citations: citations?.length ?? 0,
+        toolRuns: result.toolRuns.length,
+        finishReason: result.finishReason,
+        usage: result.usage
+      });
+      return;
     }
 
+    const result = await runToolLoop({
+      ...loopOptions,
+      complete: async (conversation, overrides) => {
+        const response = await client.createCompletion(
+          { ...upstreamBody, ...overrides, messages: conversation },
+          { signal: controller.signal }
+        );
+        const choice = response.choices?.[0] || {};
+        return { response, message: choice.message, finishReason: choice.finish_reason, usage: response.usage };
+      }
+    });
+
+    // The first choice carries the loop's message (client tool calls only) and the citations
+    const citations = contextChunks.length > 0 ? extractCitations(messageText(result.message), contextChunks) : undefined;
+    const choices = (result.response.choices || []).map((choice, i) => (
+      i === 0 ? { ...choice, message: result.message, finish_reason: result.finishReason, ...(citations && { citations }) } : choice
+    ));
+
+    logger.info('Chat completion forwarded', {
+      model: result.response.model,
+      contextChunks: contextChunks.length,
+      citations: citations?.length ?? 0,
+      toolRuns: result.toolRuns.length,
+      usage: result.usage
+    });
+
+    // Usage covers every round of the tool loop
+    res.json({
+      ...result.response,
+      choices,
+      usage: result.usage ?? result.response.usage,
+      ...(conversationStore ? { conversation_id: conversationId } : {})
+    });
+    saveTurn(result.message && { ...result.message, citations });
+
   } catch (error) {
+    if (res.destroyed) {
+      logger.info('Chat completion cancelled: client disconnected');
+      return;
+    }
+
     logger.error('Chat completion error:', error);
+    if (res.headersSent) {
+      return writeChatStreamError(res, error);
+    }
+    res.status(error.status || 500).json({
+      error: {
+        message: error.status ? error.message : 'Internal server error during chat completion',
+        type: error.type || 'server_error',
+        code: error.status ? 'upstream_error' : 'internal_error'
+      }
+    });
+  }
+});
+
+// OpenAI-compatible model listing: upstream chat models plus configured embedding providers
+async function getModelList() {
+  const config = await getConfig();
+  return listModels({
+    client: new ChatCompletionClient(config.chat || {}),
+    chatConfig: config.chat || {},
+    providerConfigs: config.embedding.providers,
+    generator: readyEmbeddingService()?.generator ?? null
+  });
+}
+
+app.get('/v1/models', async (req, res) => {
+  try {
+    const data = await getModelList();
+    res.json({ object: 'list', data });
+  } catch (error) {
+    logger.error('Model listing error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Internal server error while listing models',
+        type: 'server_error',
+        code: 'internal_error'
+      }
+    });
+  }
+});
+
+app.get('/v1/models/:model(*)', async (req, res) => {
+  try {
+    const model = (await getModelList()).find(candidate => candidate.id === req.params.model);
+
+    if (!model) {
+      return res.status(404).json({
+        error: {
+          message: `The model '${req.params.model}' does not exist`,
+          type: 'invalid_request_error',
+          code: 'model_not_found'
+        }
+      });
+    }
+
+    res.json(model);
+  } catch (error) {
+    logger.error('Model lookup error:', error);
     res.status(500).json({
       error: {
-        message: 'Internal server error during chat completion',
+        message: 'Internal server error while retrieving model',
         type: 'server_error',
         code: 'internal_error'
       }
@@ -155,23 +342,27 @@ app.post('/v1/chat/completions', async (req, res) => {
   }
 });
 
-// OpenAI-compatible embeddings endpoint
+// OpenAI-compatible embeddings endpoint.
+// Provider failures return an error unless fallback vectors are explicitly enabled
+// (`embedding.api.strict: false` in config, or `"fallback": true` on the request).
 app.post('/v1/embeddings', async (req, res) => {
   try {
-    const { input, model, encoding_format } = req.body;
+    const { input, model, encoding_format, dimensions, fallback } = req.body;
     
     logger.info('Embeddings request received', {
       model: model || 'default',
       inputType: Array.isArray(input) ? 'array' : typeof input,
       inputLength: Array.isArray(input) ? input.length : (input?.length || 0),
-      encoding_format
+      encoding_format,
+      dimensions
     });
 
     // Validate required fields
-    if (!input) {
+    const invalid = validateEmbeddingRequest(req.body);
+    if (invalid) {
       return res.status(400).json({
         error: {
-          message: 'Input is required',
+          message: invalid,
           type: 'invalid_request_error',
           code: 'invalid_input'
         }
@@ -180,63 +371,94 @@ app.post('/v1/embeddings', async (req, res) => {
 
     // Convert input to array format
     const inputs = Array.isArray(input) ? input : [input];
-    
+    const config = await getConfig();
+    const allowFallback = fallback === true || config.embedding?.api?.strict === false;
+
+    let service = null;
+    let vectors;
+    let modelId;
+    let usedFallback = false;
+
     try {
-      // Use our embedding service
-      const service = await initializeEmbeddingService();
-      const embeddings = [];
-      
-      for (let i = 0; i < inputs.length; i++) {
-        const text = inputs[i];
-        const result = await service.generateEmbedding(text);
-        
-        embeddings.push({
-          object: 'embedding',
-          index: i,
-          embedding: result.embedding
+      service = await getEmbeddingService();
+      // Prefer the vector store's provider so the vectors can be compared with the stored ones
+      const results = await service.generateEmbeddings(inputs, { provider: service.vectorStore.collection?.provider });
+
+      const failed = results.findIndex(result => result.error);
+      if (failed !== -1) {
+        throw new Error(`Input ${failed}: ${results[failed].error}`);
+      }
+
+      // Inputs that fell back to another provider would mix embedding spaces in one response
+      const spaces = new Set(results.map(result => `${result.provider}/${result.model}/${result.dimensions}`));
+      if (spaces.size > 1) {
+        throw new Error(`Inputs were embedded by different models (${[...spaces].join(', ')})`);
+      }
+      vectors = results.map(result => result.embedding);
+
+      modelId = results[0].model || results[0].provider;
+    } catch (embeddingError) {
+      logger.error('Embedding service error:', embeddingError);
+
+      if (!allowFallback) {
+        return res.status(503).json({
+          error: {
+            message: `Embedding provider unavailable: ${embeddingError.message}`,
+            type: 'server_error',
+            code: 'embeddings_unavailable'
+          }
         });
       }
 
-      const response = {
-        object: 'list',
-        data: embeddings,
-        model: model || 'text-embedding-nomic-embed-text-v1.5@q8_0',
-        usage: {
-          prompt_tokens: inputs.reduce((sum, text) => sum + (text?.length || 0), 0),
-          total_tokens: inputs.reduce((sum, text) => sum + (text?.length || 0), 0)
-        }
-      };
+      // Deterministic vectors at the dimension of the vector store collection, else of the provider
+      // that would have been used
+      const primary = [...(config.embedding?.providers || [])]
+        .filter(provider => provider.enabled !== false)
+        .sort((a, b) => a.priority - b.priority)[0];
+      const fallbackDimensions = service?.vectorStore.collection?.dimensions ||
+        service?.currentProvider?.config.dimensions ||
+        primary?.dimensions ||
+        1536;
+      vectors = await Promise.all(inputs.map(text => deterministicEmbedding(text, fallbackDimensions)));
+      modelId = 'deterministic-fallback';
+      usedFallback = true;
+      logger.warn('Using deterministic fallback embeddings due to service error', { dimensions: fallbackDimensions });
+    }
 
-      logger.info('Embeddings generated successfully', {
-        count: embeddings.length,
-        provider: service.currentProvider
+    if (dimensions !== undefined && dimensions > vectors[0].length) {
+      return res.status(400).json({
+        error: {
+          message: `dimensions must be at most ${vectors[0].length} for this model`,
+          type: 'invalid_request_error',
+          code: 'invalid_dimensions'
+        }
       });
+    }
 
-      res.json(response);
+    const embeddings = vectors.map((vector, index) => ({
+      object: 'embedding',
+      index,
+      embedding: encodeEmbedding(truncateEmbedding(vector, dimensions), encoding_format)
+    }));
 
-    } catch (embeddingError) {
-      logger.error('Embedding service error:', embeddingError);
-      
-      // Fallback to mock embeddings if service fails
-      const embeddings = inputs.map((text, index) => ({
-        object: 'embedding',
-        index,
-        embedding: Array.from({ length: 1536 }, () => Math.random() * 2 - 1),
-      }));
-
-      const response = {
-        object: 'list',
-        data: embeddings,
-        model: model || 'text-embedding-nomic-embed-text-v1.5@q8_0 (fallback)',
-        usage: {
-          prompt_tokens: inputs.reduce((sum, text) => sum + (text?.length || 0), 0),
-          total_tokens: inputs.reduce((sum, text) => sum + (text?.length || 0), 0)
-        }
-      };
+    const response = {
+      object: 'list',
+      data: embeddings,
+      model: modelId,
+      usage: {
+        prompt_tokens: inputs.reduce((sum, text) => sum + (text?.length || 0), 0),
+        total_tokens: inputs.reduce((sum, text) => sum + (text?.length || 0), 0)
+      },
+      ...(usedFallback ? { fallback: true } : {})
+    };
 
-      logger.warn('Using fallback mock embeddings due to service error');
-      res.json(response);
-    }
+    logger.info('Embeddings generated successfully', {
+      count: embeddings.length,
+      model: modelId,
+      fallback: usedFallback
+    });
+
+    res.json(response);
 
   } catch (error) {
     logger.error('Embeddings generation error:', error);
@@ -405,9 +627,24 @@ app.use((req, res) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`URL Scraper MCP Server running on port ${PORT}`);
   logger.info(`LM Studio integration endpoint: ${LM_STUDIO_URL}`);
 });
 
+// The IDF table, cache index and HNSW graph are saved lazily; persist them before exiting
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, shutting down`);
+  server.close();
+  try {
+    await flushEmbeddingService();
+  } catch (error) {
+    logger.error('Failed to persist embedding state on shutdown:', error);
+  }
+  process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 export default app;
\ No newline at end of file
@@ -0,0 +1,47 @@
+// Map [n] markers in a RAG answer back to the numbered excerpts that were retrieved for it
+import logger from '../utils/logger.js';
+
+// Matches [1], [2, 3] and [2][3] (the latter as two markers)
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+export function citationNumbers(text) {
+  const numbers = [];
+  for (const match of (text || '').matchAll(CITATION_PATTERN)) {
+    numbers.push(...match[1].split(',').map(number => parseInt(number, 10)));
+  }
+  return numbers;
+}
+
+// Citations in order of first use. Numbers that do not correspond to a retrieved chunk are dropped.
+export function extractCitations(text, chunks) {
+  const citations = [];
+  const seen = new Set();
+  const invalid = new Set();
+
+  for (const number of citationNumbers(text)) {
+    if (seen.has(number)) continue;
+
+    const chunk = chunks[number - 1];
+    if (!chunk) {
+      invalid.add(number);
+      continue;
+    }
+
+    seen.add(number);
+    citations.push({
+      index: number,
+      id: chunk.id,
+      source: chunk.source,
+      title: chunk.title,
+      chunk: chunk.chunk,
+      headingPath: chunk.headingPath,
+      similarity: chunk.similarity
+    });
+  }
+
+  if (invalid.size > 0) {
+    logger.warn('Dropped citations that match no retrieved chunk', { numbers: [...invalid], retrieved: chunks.length });
+  }
+
+  return citations;
+}
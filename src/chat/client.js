@@ -0,0 +1,147 @@
+// Client for the upstream OpenAI-compatible chat server (LM Studio)
+import axios from 'axios';
+import logger from '../utils/logger.js';
+
+const DONE = Symbol('done');
+
+// Parse one SSE event into a chunk object, DONE for the terminator, or null for comments and keep-alives
+function parseEvent(event) {
+  const data = event
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trim())
+    .join('\n');
+
+  if (!data) return null;
+  if (data === '[DONE]') return DONE;
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    logger.warn('Ignoring malformed chat stream event', { data: data.substring(0, 200) });
+    return null;
+  }
+}
+
+// Error bodies of streamed requests arrive as a stream; read them so the upstream message is preserved
+async function readErrorBody(stream) {
+  let text = '';
+  try {
+    for await (const data of stream) {
+      text += data.toString('utf8');
+    }
+    return JSON.parse(text);
+  } catch (error) {
+    return { error: text || undefined };
+  }
+}
+
+export class ChatCompletionClient {
+  constructor(chatConfig = {}) {
+    this.url = chatConfig.url || 'http://192.168.0.178:7777';
+    this.endpoint = chatConfig.endpoint || '/v1/chat/completions';
+    this.modelsEndpoint = chatConfig.modelsEndpoint || '/v1/models';
+    this.model = chatConfig.model;
+    this.timeout = chatConfig.timeout || 120000;
+  }
+
+  async createCompletion(body, { signal } = {}) {
+    try {
+      const response = await axios.post(`${this.url}${this.endpoint}`, {
+        ...body,
+        model: body.model || this.model,
+        stream: false
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'LMStudio-URL-Scraper-MCP/1.0'
+        },
+        timeout: this.timeout,
+        signal
+      });
+
+      return response.data;
+    } catch (error) {
+      throw this.toUpstreamError(error);
+    }
+  }
+
+  // Stream a completion from the upstream server, yielding parsed `chat.completion.chunk` objects as they arrive
+  async *streamCompletion(body, { signal } = {}) {
+    let response;
+    try {
+      response = await axios.post(`${this.url}${this.endpoint}`, {
+        ...body,
+        model: body.model || this.model,
+        stream: true,
+        stream_options: { include_usage: true, ...body.stream_options }
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+          'User-Agent': 'LMStudio-URL-Scraper-MCP/1.0'
+        },
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal
+      });
+    } catch (error) {
+      if (error.response?.data?.pipe) {
+        error.response.data = await readErrorBody(error.response.data);
+      }
+      throw this.toUpstreamError(error);
+    }
+
+    let buffer = '';
+    for await (const data of response.data) {
+      buffer += data.toString('utf8');
+
+      // SSE events are separated by a blank line; keep any partial event for the next read
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+
+      for (const event of events) {
+        const chunk = parseEvent(event);
+        if (chunk === DONE) return;
+        if (chunk) yield chunk;
+      }
+    }
+
+    const chunk = parseEvent(buffer);
+    if (chunk && chunk !== DONE) yield chunk;
+  }
+
+  // Models currently served by the upstream, in OpenAI `model` object form
+  async listModels({ signal } = {}) {
+    try {
+      const response = await axios.get(`${this.url}${this.modelsEndpoint}`, {
+        headers: { 'User-Agent': 'LMStudio-URL-Scraper-MCP/1.0' },
+        timeout: 5000,
+        signal
+      });
+      return Array.isArray(response.data?.data) ? response.data.data : [];
+    } catch (error) {
+      throw this.toUpstreamError(error);
+    }
+  }
+
+  // Normalize axios failures into errors carrying an HTTP status and OpenAI-style error body
+  toUpstreamError(error) {
+    if (error.response) {
+      const upstream = error.response.data?.error;
+      const message = typeof upstream === 'string' ? upstream : upstream?.message || error.message;
+      const upstreamError = new Error(`Upstream chat completion failed: ${message}`);
+      upstreamError.status = error.response.status;
+      upstreamError.type = upstream?.type || 'upstream_error';
+      return upstreamError;
+    }
+
+    logger.warn('Chat upstream unreachable', { url: this.url, error: error.message });
+    const unreachable = new Error(`Chat model server unreachable at ${this.url}: ${error.message}`);
+    unreachable.status = 502;
+    unreachable.type = 'upstream_unavailable';
+    return unreachable;
+  }
+}
+
+export default ChatCompletionClient;
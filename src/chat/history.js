@@ -0,0 +1,95 @@
+// Server-side chat history: turn a stored conversation into upstream messages and fold older
+// messages into a running summary once the conversation outgrows the context budget
+import logger from '../utils/logger.js';
+import { messageText } from './retrieval.js';
+
+const SUMMARY_PROMPT = 'You maintain the memory of a chat assistant. Summarize the conversation below in a few short ' +
+  'paragraphs, keeping facts, names, URLs, decisions and open questions the assistant may need later. ' +
+  'Write only the summary.';
+
+function messageChars(message) {
+  return messageText(message).length + (message.tool_calls ? JSON.stringify(message.tool_calls).length : 0);
+}
+
+// Drop storage-only fields before sending messages upstream
+function upstreamMessage({ createdAt, citations, ...message }) {
+  return message;
+}
+
+// Messages the model sees for a conversation: the summary of older turns, then the unsummarized ones
+export function historyMessages(conversation) {
+  const messages = conversation.messages.slice(conversation.summarizedCount || 0).map(upstreamMessage);
+
+  if (!conversation.summary) return messages;
+  return [{ role: 'system', content: `Summary of the earlier conversation:\n${conversation.summary}` }, ...messages];
+}
+
+// Index up to which messages should be summarized, or 0 when the conversation still fits the budget.
+// The most recent `keepRecentMessages` stay verbatim, and the cut never separates tool results from their call.
+export function summarizationCutoff(conversation, { maxContextChars = 12000, keepRecentMessages = 6 } = {}) {
+  const start = conversation.summarizedCount || 0;
+  const pending = conversation.messages.slice(start);
+  const totalChars = (conversation.summary?.length || 0) + pending.reduce((sum, message) => sum + messageChars(message), 0);
+
+  if (totalChars <= maxContextChars || pending.length <= keepRecentMessages) return 0;
+
+  let cutoff = conversation.messages.length - keepRecentMessages;
+  while (cutoff > start && conversation.messages[cutoff]?.role === 'tool') {
+    cutoff--;
+  }
+
+  return cutoff > start ? cutoff : 0;
+}
+
+function transcript(messages) {
+  return messages
+    .map(message => {
+      const text = messageText(message) || (message.tool_calls ? `[called tools: ${message.tool_calls.map(call => call.function?.name).join(', ')}]` : '');
+      return `${message.role}: ${text}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Summarize the messages that no longer fit the context budget and store the summary.
+ * Resolves to the updated conversation, or the unchanged one when nothing needed summarizing.
+ */
+export async function summarizeConversation(store, client, conversation, options = {}) {
+  const cutoff = summarizationCutoff(conversation, options);
+  if (cutoff === 0) return conversation;
+
+  const start = conversation.summarizedCount || 0;
+  const previous = conversation.summary ? `Earlier summary:\n${conversation.summary}\n\nNew messages:\n` : '';
+
+  const response = await client.createCompletion({
+    messages: [
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content: previous + transcript(conversation.messages.slice(start, cutoff)) }
+    ],
+    temperature: 0.2,
+    max_tokens: options.summaryMaxTokens || 512
+  });
+
+  const summary = response.choices?.[0]?.message?.content?.trim();
+  if (!summary) {
+    logger.warn(`Empty summary returned for conversation ${conversation.id}`);
+    return conversation;
+  }
+
+  logger.info(`Summarized conversation ${conversation.id}`, { summarizedCount: cutoff });
+  return store.setSummary(conversation.id, summary, cutoff);
+}
+
+// Store the request messages and the final reply, then summarize if the conversation outgrew its budget.
+// Summarization failures are logged only; the turn itself is already saved.
+export async function recordTurn(store, client, conversationId, messages, reply, options = {}) {
+  const conversation = await store.appendMessages(conversationId, reply ? [...messages, reply] : messages);
+  if (!conversation) return null;
+
+  try {
+    return await summarizeConversation(store, client, conversation, options);
+  } catch (error) {
+    logger.warn(`Failed to summarize conversation ${conversationId}:`, error.message);
+    return conversation;
+  }
+}
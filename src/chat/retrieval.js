@@ -0,0 +1,85 @@
+// Retrieval-augmented generation: find stored chunks relevant to the latest user message
+// and inject them into the conversation as system context
+import logger from '../utils/logger.js';
+
+// OpenAI message content may be a string or an array of typed parts
+export function messageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(part => part?.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+export function latestUserMessage(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i]?.role === 'user') return messages[i];
+  }
+  return null;
+}
+
+export async function retrieveContext(embeddingService, messages, options = {}) {
+  const query = messageText(latestUserMessage(messages)).trim();
+  if (!query) return [];
+
+  const results = await embeddingService.searchSimilar(query, {
+    limit: options.topK ?? 5,
+    threshold: options.threshold ?? 0.5
+  });
+
+  const maxChars = options.maxContextChars ?? 6000;
+  const chunks = [];
+  let usedChars = 0;
+
+  for (const result of results) {
+    const metadata = result.embeddingData?.metadata || {};
+    const text = metadata.cleanedContent || metadata.summary || '';
+    if (!text) continue;
+    if (usedChars + text.length > maxChars && chunks.length > 0) break;
+
+    usedChars += text.length;
+    chunks.push({
+      id: result.id,
+      source: metadata.source || result.metadata?.source || 'unknown',
+      title: metadata.title || result.metadata?.title || 'Untitled',
+      chunk: metadata.chunk ?? 0,
+      headingPath: metadata.headingPath || [],
+      similarity: result.similarity,
+      text
+    });
+  }
+
+  logger.debug('Retrieved chat context', { query: query.substring(0, 100), chunks: chunks.length });
+  return chunks;
+}
+
+// Excerpts are numbered in retrieval order so the model can cite them as [n]
+export function buildContextBlock(chunks) {
+  const sections = chunks.map((chunk, i) => {
+    const title = [chunk.title, ...(chunk.headingPath || [])].join(' › ');
+    return `[${i + 1}] ${title} (${chunk.source})\n${chunk.text}`;
+  });
+  return [
+    'Use the following numbered excerpts from scraped sources when they are relevant to the question.',
+    'Cite every excerpt you rely on with its number in square brackets, e.g. [1] or [2][3].',
+    'Only cite numbers listed below. If the excerpts do not help, answer normally without citations.',
+    '',
+    sections.join('\n\n---\n\n')
+  ].join('\n');
+}
+
+// Merge the context into the leading system message (some chat templates reject more than one)
+export function injectContext(messages, contextBlock) {
+  if (!contextBlock) return messages;
+
+  if (messages[0]?.role === 'system') {
+    const [system, ...rest] = messages;
+    return [{ ...system, content: `${messageText(system)}\n\n${contextBlock}` }, ...rest];
+  }
+
+  return [{ role: 'system', content: contextBlock }, ...messages];
+}
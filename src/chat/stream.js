@@ -0,0 +1,122 @@
+// Relay upstream `chat.completion.chunk` events to the client as OpenAI-style server-sent events
+export function openChatStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+}
+
+// Headers are sent with the first event so failures before any output still get a proper status code
+export function writeChatEvent(res, data) {
+  if (res.writableEnded) return;
+  if (!res.headersSent) openChatStream(res);
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+// Merge streamed tool call fragments (keyed by index) into complete tool calls
+function mergeToolCallDeltas(toolCalls, deltas) {
+  for (const delta of deltas) {
+    const index = delta.index ?? toolCalls.length;
+    const call = toolCalls[index] || (toolCalls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+
+    if (delta.id) call.id = delta.id;
+    if (delta.type) call.type = delta.type;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+  }
+}
+
+// Forward content deltas of one upstream completion as they arrive. Tool call fragments are collected
+// rather than forwarded, so the caller can decide whether to run them or hand them to the client.
+// finish_reason and usage are held back too, since upstreams differ in where usage arrives.
+export async function relayStreamRound(res, chunks, { signal } = {}) {
+  const round = { id: null, model: null, created: null, content: '', toolCalls: [], finishReason: null, usage: null };
+
+  for await (const chunk of chunks) {
+    if (signal?.aborted) break;
+
+    round.id = round.id || chunk.id;
+    round.model = round.model || chunk.model;
+    round.created = round.created || chunk.created;
+    if (chunk.usage) round.usage = chunk.usage;
+
+    const choices = [];
+    for (const choice of chunk.choices || []) {
+      if (choice.finish_reason) round.finishReason = choice.finish_reason;
+
+      const { tool_calls: toolCallDeltas, ...delta } = choice.delta || {};
+      if (toolCallDeltas) mergeToolCallDeltas(round.toolCalls, toolCallDeltas);
+      if (typeof delta.content === 'string') round.content += delta.content;
+
+      if (delta.content || (delta.role && !toolCallDeltas)) {
+        choices.push({ index: choice.index ?? 0, delta, finish_reason: null });
+      }
+    }
+
+    if (choices.length > 0) {
+      writeChatEvent(res, {
+        id: chunk.id,
+        object: 'chat.completion.chunk',
+        created: chunk.created,
+        model: chunk.model,
+        choices
+      });
+    }
+  }
+
+  round.toolCalls = round.toolCalls.filter(Boolean);
+  return round;
+}
+
+// Assistant message equivalent of a streamed round, for feeding back into the conversation
+export function roundMessage(round) {
+  const message = { role: 'assistant', content: round.content || null };
+  if (round.toolCalls.length > 0) message.tool_calls = round.toolCalls;
+  return message;
+}
+
+// Send tool calls meant for the client as one delta, since they were held back while streaming
+export function writeToolCallDelta(res, round) {
+  writeChatEvent(res, {
+    id: round.id,
+    object: 'chat.completion.chunk',
+    created: round.created,
+    model: round.model,
+    choices: [{
+      index: 0,
+      delta: { tool_calls: round.toolCalls.map((call, index) => ({ index, ...call })) },
+      finish_reason: null
+    }]
+  });
+}
+
+// Final chunk carrying finish_reason, usage and any citations, then the [DONE] terminator
+export function finishChatStream(res, { id, model, created, finishReason, usage, citations }) {
+  const choice = { index: 0, delta: {}, finish_reason: finishReason || 'stop' };
+  if (citations) choice.citations = citations;
+
+  writeChatEvent(res, {
+    id,
+    object: 'chat.completion.chunk',
+    created: created || Math.floor(Date.now() / 1000),
+    model,
+    choices: [choice],
+    usage
+  });
+  writeChatEvent(res, '[DONE]');
+  res.end();
+}
+
+// Report a failure after the stream has started; the status code can no longer change
+export function writeChatStreamError(res, error) {
+  writeChatEvent(res, {
+    error: {
+      message: error.message,
+      type: error.type || 'server_error',
+      code: error.status ? 'upstream_error' : 'internal_error'
+    }
+  });
+  writeChatEvent(res, '[DONE]');
+  res.end();
+}
@@ -0,0 +1,141 @@
+// Server-side tool calling for chat completions: the MCP tool registry is advertised to the upstream
+// model as OpenAI function tools, and tool calls it makes are executed here and fed back until it answers
+import logger from '../utils/logger.js';
+import { toStructuredResult } from '../mcp/registry.js';
+
+export function toOpenAITool(tool) {
+  return {
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema
+    }
+  };
+}
+
+// Client-supplied tools win on a name clash; calls to them are returned to the client to run
+export function mergeTools(clientTools = [], registryTools = []) {
+  const clientNames = new Set(clientTools.map(tool => tool.function?.name));
+  return [
+    ...clientTools,
+    ...registryTools.filter(tool => !clientNames.has(tool.name)).map(toOpenAITool)
+  ];
+}
+
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    prompt_tokens: (total?.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total?.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total?.total_tokens || 0) + (usage.total_tokens || 0)
+  };
+}
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.substring(0, maxChars)}\n[...truncated]` : text;
+}
+
+// Raw embedding vectors mean nothing to a model and would crowd the useful fields out of the truncated text
+function withoutVectors(value) {
+  if (Array.isArray(value)) return value.map(withoutVectors);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key, field]) => !(key === 'embedding' && Array.isArray(field)))
+    .map(([key, field]) => [key, withoutVectors(field)]));
+}
+
+// Tools may define `toModelResult(result)` to pick the fields a model needs; others are sent without vectors
+export function modelFacingResult(tool, result) {
+  return tool?.toModelResult ? tool.toModelResult(result) : withoutVectors(toStructuredResult(result));
+}
+
+// Run one tool call and return the `tool` message answering it; failures are reported to the model
+export async function runToolCall(registry, toolCall, { signal, maxResultChars = 8000 } = {}) {
+  const name = toolCall.function?.name;
+  let content;
+
+  try {
+    const args = toolCall.function?.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    const result = await registry.execute(name, args, {
+      signal,
+      log: () => {},
+      sendProgress: () => {}
+    });
+    content = JSON.stringify(modelFacingResult(registry.get(name), result));
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logger.warn(`Chat tool call failed: ${name}`, { error: error.message });
+    content = JSON.stringify({ error: error.message });
+  }
+
+  return {
+    role: 'tool',
+    tool_call_id: toolCall.id,
+    content: truncate(content, maxResultChars)
+  };
+}
+
+// A forced tool_choice applies to the first round only, otherwise the model could never answer
+function nextToolChoice(toolChoice) {
+  return toolChoice && toolChoice !== 'auto' && toolChoice !== 'none' ? 'auto' : toolChoice;
+}
+
+// The round as the client should see it: only the tool calls it can run itself. A round left with no
+// calls finishes as "stop" rather than asking the client for tool results it was never sent.
+function withClientToolCalls(round, clientCalls) {
+  const { tool_calls: toolCalls, ...message } = round.message;
+  if (clientCalls.length > 0) message.tool_calls = clientCalls;
+  const finishReason = clientCalls.length === 0 && round.finishReason === 'tool_calls' ? 'stop' : round.finishReason;
+  return { ...round, message, finishReason };
+}
+
+/**
+ * Call the model until it stops requesting server-side tools.
+ * `registry` is null when server-side tools are disabled, making this a single pass-through call.
+ * `complete(messages, { tool_choice })` performs one upstream completion and resolves to
+ * `{ message, finishReason, usage }`. The loop ends when the model answers, calls a client tool,
+ * or `maxIterations` tool rounds have run, after which one more call is made with tool_choice "none".
+ * The returned `message` and `finishReason` carry only the client's tool calls: in a round that mixes
+ * both kinds the registry calls are run here first, and registry calls from the final forced round
+ * (a model may ignore tool_choice "none") are dropped.
+ */
+export async function runToolLoop({ messages, complete, registry, toolChoice, maxIterations = 5, maxResultChars, signal }) {
+  let conversation = messages;
+  let choice = toolChoice;
+  let usage = null;
+  const toolRuns = [];
+
+  for (let iteration = 0; ; iteration++) {
+    const forceAnswer = iteration >= maxIterations;
+    const round = await complete(conversation, { tool_choice: forceAnswer ? 'none' : choice });
+    usage = addUsage(usage, round.usage);
+
+    const toolCalls = round.message?.tool_calls || [];
+    const serverCalls = toolCalls.filter(call => registry?.get(call.function?.name));
+    const clientCalls = toolCalls.filter(call => !serverCalls.includes(call));
+
+    if (serverCalls.length === 0) {
+      return { ...round, usage, toolRuns, messages: conversation };
+    }
+    if (forceAnswer) {
+      logger.warn('Chat tool loop reached max iterations', { maxIterations });
+      return { ...withClientToolCalls(round, clientCalls), usage, toolRuns, messages: conversation };
+    }
+
+    const results = [];
+    for (const toolCall of serverCalls) {
+      results.push(await runToolCall(registry, toolCall, { signal, maxResultChars }));
+      toolRuns.push({ name: toolCall.function.name, iteration });
+    }
+
+    logger.info('Chat tool calls executed', { iteration, tools: serverCalls.map(call => call.function.name) });
+    conversation = [...conversation, { role: 'assistant', content: round.message.content ?? null, tool_calls: serverCalls }, ...results];
+
+    // The client's calls need its own results before the model can continue
+    if (clientCalls.length > 0) {
+      return { ...withClientToolCalls(round, clientCalls), usage, toolRuns, messages: conversation };
+    }
+    choice = nextToolChoice(choice);
+  }
+}
@@ -1,5 +1,6 @@
 import EmbeddingGenerator from './embeddings/generator.js';
-import VectorStore from './storage/vectorStore.js';
+import { chunkText } from './embeddings/chunkers.js';
+import VectorStore, { CollectionMismatchError } from './storage/vectorStore.js';
 import { processScrapedContent } from './analyzer/textProcessor.js';
 import { getConfig } from './utils/config.js';
 import logger from './utils/logger.js';
@@ -15,7 +16,12 @@ export class EmbeddingService {
     try {
       this.config = await getConfig();
       await this.generator.initialize();
-      await this.vectorStore.initialize();
+      await this.vectorStore.initialize({
+        indexing: this.config.storage?.indexing !== false,
+        index: this.config.storage?.index,
+        compression: this.config.storage?.compression,
+        segments: this.config.storage?.segments
+      });
       logger.info('Embedding service initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize embedding service:', error);
@@ -27,16 +33,38 @@ export class EmbeddingService {
     return this.generator?.currentProvider;
   }
 
+  // Persist state that is saved lazily: the embedding cache, provider state and the ANN index
+  async flush() {
+    await this.generator.flush();
+    await this.vectorStore.flush();
+  }
+
+  // Flush and stop background work, releasing the vector store for other processes
+  async close() {
+    this.generator.close();
+    await this.generator.flush();
+    await this.vectorStore.close();
+  }
+
   // Direct embedding generation method
   async generateEmbedding(text) {
     return await this.generator.generateEmbedding(text);
   }
 
-  // Process content and generate embeddings
-  async processContent(content, metadata = {}) {
+  // Batched embedding generation; see EmbeddingGenerator.generateEmbeddings
+  async generateEmbeddings(texts, options = {}) {
+    return await this.generator.generateEmbeddings(texts, options);
+  }
+
+  // Process content and generate embeddings.
+  // options.onProgress({ completed, total, chunk }) fires per embedded batch; options.signal stops once the
+  // batches in flight finish, keeping the embeddings already stored
+  async processContent(content, metadata = {}, options = {}) {
     try {
       // Process the content
       const processedData = processScrapedContent({ content, metadata }, this.config.analyzer);
+      // Chunks are attributed to the page they came from
+      processedData.source = processedData.source || metadata.url || metadata.source;
       
       logger.info('Processing content', {
         source: processedData.source,
@@ -68,56 +96,139 @@ export class EmbeddingService {
         };
       }
 
-      // Chunk text if it's too long
-      const chunks = this.generator.chunkText(textToEmbed, this.config.embedding.chunkSize, this.config.embedding.overlap);
+      // Chunk with the configured strategy; token limits follow the provider the chunks will go to
+      const chunking = this.config.embedding.chunking || {};
+      const targetProvider = this.generator.pickProvider(this.vectorStore.collection?.provider);
+      const chunks = chunkText(textToEmbed, {
+        chunkSize: this.config.embedding.chunkSize,
+        overlap: this.config.embedding.overlap,
+        ...chunking,
+        maxTokens: targetProvider?.config.maxTokens ?? chunking.maxTokens,
+        headings: processedData.content?.headings
+      });
+      // A store another process is writing can't take these chunks; fail before embedding them
+      this.vectorStore.segments.assertWritable();
+      const chunkIds = chunks.map((chunk, i) => this.vectorStore.contentId(processedData.source, i, chunk.text));
+
       const embeddingResults = [];
+      let completed = 0;
+      let mismatched = 0;
 
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        
-        try {
-          // Generate embedding for chunk
-          const embeddingData = await this.generator.generateEmbedding(chunk);
-          
-          // Prepare metadata
-          const chunkMetadata = {
-            source: processedData.source,
-            title: processedData.content?.title || 'Untitled',
-            chunk: i,
-            totalChunks: chunks.length,
-            cleanedContent: chunk,
-            summary: processedData.processed.summary,
-            relevanceScore: processedData.processed.relevanceScore,
-            wordCount: chunk.split(/\s+/).length,
-            originalWordCount: processedData.content?.wordCount,
-            keyPhrases: processedData.processed.keyPhrases,
-            scrapedAt: processedData.metadata?.scrapedAt,
-            processedAt: processedData.processed.processedAt
-          };
+      // Chunks are embedded in concurrent batches; storing stays sequential so index writes never overlap
+      let saving = Promise.resolve();
+      const saveBatch = async ({ offset, results }) => {
+        for (const [j, embeddingData] of results.entries()) {
+          const i = offset + j;
+
+          if (embeddingData.error) {
+            logger.error('Failed to process chunk', {
+              chunk: i,
+              error: embeddingData.error
+            });
+            continue;
+          }
+
+          const chunk = chunks[i].text;
+
+          try {
+            // Prepare metadata
+            const chunkMetadata = {
+              source: processedData.source,
+              title: processedData.content?.title || 'Untitled',
+              chunk: i,
+              totalChunks: chunks.length,
+              cleanedContent: chunk,
+              headingPath: chunks[i].headingPath,
+              summary: processedData.processed.summary,
+              relevanceScore: processedData.processed.relevanceScore,
+              wordCount: chunk.split(/\s+/).length,
+              originalWordCount: processedData.content?.wordCount,
+              keyPhrases: processedData.processed.keyPhrases,
+              scrapedAt: processedData.metadata?.scrapedAt,
+              processedAt: processedData.processed.processedAt
+            };
+
+            // Save to vector store
+            const embeddingId = await this.vectorStore.saveEmbedding(
+              chunkIds[i],
+              embeddingData,
+              chunkMetadata
+            );
+
+            embeddingResults.push({
+              id: embeddingId,
+              chunk: i,
+              embeddingData,
+              metadata: chunkMetadata
+            });
+
+            logger.debug('Saved embedding chunk', {
+              id: embeddingId,
+              chunk: i,
+              provider: embeddingData.provider,
+              dimensions: embeddingData.embedding?.length
+            });
 
-          // Save to vector store
-          const embeddingId = await this.vectorStore.saveEmbedding(null, embeddingData, chunkMetadata);
-          
-          embeddingResults.push({
-            id: embeddingId,
-            chunk: i,
-            embeddingData,
-            metadata: chunkMetadata
-          });
-
-          logger.debug('Saved embedding chunk', {
-            id: embeddingId,
-            chunk: i,
-            provider: embeddingData.provider,
-            dimensions: embeddingData.embedding?.length
-          });
-
-        } catch (chunkError) {
-          logger.error('Failed to process chunk', { 
-            chunk: i, 
-            error: chunkError.message 
-          });
-          // Continue with other chunks
+          } catch (chunkError) {
+            if (chunkError instanceof CollectionMismatchError) {
+              mismatched++;
+              continue;
+            }
+            logger.error('Failed to process chunk', { 
+              chunk: i, 
+              error: chunkError.message 
+            });
+            // Continue with other chunks
+          }
+        }
+
+        completed += results.length;
+        if (options.onProgress) {
+          await options.onProgress({ completed, total: chunks.length, chunk: offset + results.length - 1 });
+        }
+      };
+
+      // Stay on the provider the collection was built with while it is healthy
+      await this.generator.generateEmbeddings(chunks.map(chunk => chunk.text), {
+        signal: options.signal,
+        provider: this.vectorStore.collection?.provider,
+        onBatch: batch => {
+          saving = saving.then(() => saveBatch(batch));
+        }
+      });
+      await saving;
+
+      embeddingResults.sort((a, b) => a.chunk - b.chunk);
+
+      if (mismatched > 0) {
+        const collection = this.vectorStore.collection;
+        logger.error(`Refused ${mismatched} chunks whose model or dimensions differ from the vector store collection`, {
+          source: processedData.source,
+          collection: `${collection.provider}/${collection.model || 'unknown model'} (${collection.dimensions} dimensions)`,
+          hint: 'Run `npm run reembed` to migrate the collection to the new model'
+        });
+      }
+
+      const cancelled = completed < chunks.length && !!options.signal?.aborted;
+      if (cancelled) {
+        logger.info('Content processing cancelled', {
+          source: processedData.source,
+          completedChunks: completed,
+          totalChunks: chunks.length
+        });
+      }
+
+      // Once every chunk is stored, drop chunks left over from an earlier chunking of the same page.
+      // Without a known source there is no telling which stored chunks belong to this page.
+      if (processedData.source && !cancelled && embeddingResults.length === chunks.length) {
+        const current = new Set(embeddingResults.map(result => result.id));
+        const stale = (await this.vectorStore.listEmbeddings())
+          .filter(entry => entry.source === processedData.source && !current.has(entry.id));
+        for (const entry of stale) {
+          await this.vectorStore.deleteEmbedding(entry.id);
+        }
+        if (stale.length > 0) {
+          logger.info(`Removed ${stale.length} outdated chunks`, { source: processedData.source });
         }
       }
 
@@ -126,7 +237,9 @@ export class EmbeddingService {
         embeddings: embeddingResults,
         provider: embeddingResults[0]?.embeddingData?.provider,
         storageKey: processedData.source,
-        analysis: processedData.processed
+        analysis: processedData.processed,
+        mismatched,
+        cancelled
       };
 
       logger.info('Content processing completed', {
@@ -146,14 +259,17 @@ export class EmbeddingService {
   // Search for similar content
   async searchSimilar(query, options = {}) {
     try {
-      // Generate embedding for the query
-      const queryEmbedding = await this.generator.generateEmbedding(query);
+      // Embed the query with the collection's provider so it is comparable with the stored vectors
+      const queryEmbedding = await this.generator.generateEmbedding(query, {
+        provider: this.vectorStore.collection?.provider
+      });
       
       // Search for similar embeddings
       const results = await this.vectorStore.searchSimilar(
         queryEmbedding.embedding,
-        options.limit || 10,
-        options.threshold || 0.7
+        options.limit ?? 10,
+        options.threshold ?? 0.7,
+        { model: queryEmbedding.model }
       );
 
       logger.info('Similarity search completed', {
@@ -176,27 +292,33 @@ export class EmbeddingService {
       const vectorStats = await this.vectorStore.getStats();
       const providerStatus = {};
 
+      const health = this.generator.getHealthStats();
+
       // Check provider availability
       for (const provider of this.generator.providers) {
         try {
           providerStatus[provider.name] = {
             available: await provider.isAvailable(),
-            priority: provider.priority
+            priority: provider.priority,
+            health: health[provider.name]
           };
         } catch (error) {
           providerStatus[provider.name] = {
             available: false,
             error: error.message,
-            priority: provider.priority
+            priority: provider.priority,
+            health: health[provider.name]
           };
         }
       }
 
       return {
         vectorStore: vectorStats,
+        cache: this.generator.cache.getStats(),
         providers: providerStatus,
         currentProvider: this.generator.currentProvider?.name || 'none',
         config: {
+          chunkingStrategy: this.config?.embedding?.chunking?.strategy || 'recursive',
           chunkSize: this.config?.embedding?.chunkSize,
           overlap: this.config?.embedding?.overlap,
           relevanceThreshold: this.config?.analyzer?.relevanceThreshold
@@ -0,0 +1,208 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+// Texts that differ only in whitespace or Unicode normalization embed to the same key
+export function normalizeText(text) {
+  return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+export function cacheKey(providerName, model, text) {
+  return crypto.createHash('sha256')
+    .update(`${providerName}\n${model}\n${normalizeText(text)}`)
+    .digest('hex');
+}
+
+/**
+ * Content-addressed embedding cache. Each vector is stored on disk as `<key>.json`; the index is a Map
+ * kept in access order (least recently used first), which drives eviction once `maxEntries` is
+ * exceeded without sorting or counting keys on every write. Entries older than `maxAgeDays` are
+ * dropped. A small in-memory LRU serves repeated lookups.
+ */
+export class EmbeddingCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.cachePath = options.path || './data/embedding-cache';
+    this.indexPath = path.join(this.cachePath, 'index.json');
+    this.maxEntries = options.maxEntries ?? 50000;
+    this.maxAge = (options.maxAgeDays ?? 30) * 24 * 60 * 60 * 1000;
+    this.memoryEntries = options.memoryEntries ?? 1000;
+
+    this.index = new Map();
+    this.memory = new Map();
+    this.initialized = false;
+    this.initPromise = null;
+    this.flushTimer = null;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  async initialize() {
+    if (this.initialized || !this.enabled) return;
+    if (!this.initPromise) {
+      this.initPromise = this.load().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async load() {
+    await fs.mkdir(this.cachePath, { recursive: true });
+
+    let saved = {};
+    try {
+      saved = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+    } catch (error) {
+      saved = {};
+    }
+
+    // Vectors written after the last index flush (e.g. an interrupted run) are still usable
+    const files = await fs.readdir(this.cachePath);
+    for (const file of files) {
+      const key = file.replace(/\.json$/, '');
+      if (file === 'index.json' || !file.endsWith('.json') || saved[key]) continue;
+
+      const stat = await fs.stat(path.join(this.cachePath, file));
+      saved[key] = { createdAt: stat.mtimeMs, lastAccess: stat.mtimeMs };
+    }
+
+    // Restore access order once here; afterwards every hit or write moves its key to the end
+    this.index = new Map(Object.entries(saved).sort(([, a], [, b]) => a.lastAccess - b.lastAccess));
+    this.initialized = true;
+    await this.evict();
+    logger.info(`Embedding cache loaded with ${this.index.size} entries`);
+  }
+
+  filePath(key) {
+    return path.join(this.cachePath, `${key}.json`);
+  }
+
+  remember(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    if (this.memory.size > this.memoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  // Resolves to `{ embedding, provider, model, dimensions }` or null
+  async get(key) {
+    if (!this.enabled) return null;
+    await this.initialize();
+
+    const meta = this.index.get(key);
+    if (!meta || Date.now() - meta.createdAt > this.maxAge) {
+      this.stats.misses++;
+      return null;
+    }
+
+    let entry = this.memory.get(key);
+    if (!entry) {
+      try {
+        entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      } catch (error) {
+        this.index.delete(key);
+        this.stats.misses++;
+        return null;
+      }
+    }
+
+    this.remember(key, entry);
+    meta.lastAccess = Date.now();
+    this.index.delete(key);
+    this.index.set(key, meta);
+    this.scheduleFlush();
+    this.stats.hits++;
+    return entry;
+  }
+
+  async set(key, entry) {
+    if (!this.enabled) return;
+    await this.initialize();
+
+    try {
+      await fs.writeFile(this.filePath(key), JSON.stringify(entry));
+      const now = Date.now();
+      this.index.delete(key);
+      this.index.set(key, { createdAt: now, lastAccess: now });
+      this.remember(key, entry);
+      this.stats.writes++;
+
+      if (this.index.size > this.maxEntries) {
+        await this.evict();
+      }
+      this.scheduleFlush();
+    } catch (error) {
+      // A cache write failure must never fail embedding generation
+      logger.warn('Failed to write embedding cache entry:', error.message);
+    }
+  }
+
+  // Drop expired entries, then the least recently used ones once maxEntries is exceeded
+  async evict() {
+    const now = Date.now();
+    const expired = [...this.index].filter(([, meta]) => now - meta.createdAt > this.maxAge).map(([key]) => key);
+    const liveCount = this.index.size - expired.length;
+    // Trim to 90% of capacity so a full cache is not swept on every write. The index is in access order,
+    // so the least recently used live keys come first.
+    const overflowCount = liveCount > this.maxEntries ? liveCount - Math.floor(this.maxEntries * 0.9) : 0;
+    const expiredKeys = new Set(expired);
+    const overflow = [];
+    for (const key of this.index.keys()) {
+      if (overflow.length >= overflowCount) break;
+      if (!expiredKeys.has(key)) overflow.push(key);
+    }
+
+    for (const key of [...expired, ...overflow]) {
+      this.index.delete(key);
+      this.memory.delete(key);
+      await fs.rm(this.filePath(key), { force: true });
+      this.stats.evictions++;
+    }
+
+    if (expired.length + overflow.length > 0) {
+      logger.info(`Evicted ${expired.length + overflow.length} embedding cache entries`);
+      this.scheduleFlush();
+    }
+  }
+
+  // Access times change on every hit, so the index is written at most every few seconds
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => logger.warn('Failed to save embedding cache index:', error.message));
+    }, 2000);
+    this.flushTimer.unref();
+  }
+
+  async flush() {
+    if (!this.initialized) return;
+    await fs.writeFile(this.indexPath, JSON.stringify(Object.fromEntries(this.index)));
+  }
+
+  async clear() {
+    for (const key of this.index.keys()) {
+      await fs.rm(this.filePath(key), { force: true });
+    }
+    this.index.clear();
+    this.memory.clear();
+    await this.flush();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.index.size,
+      maxEntries: this.maxEntries,
+      memoryEntries: this.memory.size,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+}
+
+export default EmbeddingCache;
@@ -0,0 +1,232 @@
+// Pluggable text chunkers. Every strategy returns `{ text, start, end, headingPath }` chunks, where
+// `headingPath` lists the headings (outermost first) of the section the chunk starts in.
+//
+//   character  fixed-size windows that back off to the last sentence end or space
+//   recursive  split on sentence ends, then clause punctuation, then spaces, and pack the pieces
+//   sentence   whole sentences (via sentence-splitter) packed up to the size limit
+//   token      windows of estimated model tokens rather than characters
+//   heading    chunks never cross a heading; each section is chunked with `sectionStrategy`
+import { split as splitSentenceNodes } from 'sentence-splitter';
+
+export const CHUNKING_STRATEGIES = ['character', 'recursive', 'sentence', 'token', 'heading'];
+
+// Separators tried in order by the recursive chunker; each keeps its punctuation on the left piece
+const RECURSIVE_SEPARATORS = [/(?<=[.!?])\s+/g, /(?<=[;:])\s+/g, /(?<=,)\s+/g, /\s+/g];
+
+// Rough BPE token count: about four characters of a word per token, one per digit group or symbol.
+// Close enough to keep chunks inside a model's context without shipping a tokenizer per model.
+export function estimateTokens(text) {
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(/\p{L}+|\p{N}+|[^\s\p{L}\p{N}]/gu)) {
+    tokens += /^\p{L}/u.test(piece) ? Math.ceil(piece.length / 4) : /^\p{N}/u.test(piece) ? Math.ceil(piece.length / 3) : 1;
+  }
+  return tokens;
+}
+
+const characters = text => text.length;
+
+// Spans of non-whitespace runs
+function wordSpans(text, start = 0, end = text.length) {
+  const spans = [];
+  for (const match of text.slice(start, end).matchAll(/\S+/g)) {
+    spans.push({ start: start + match.index, end: start + match.index + match[0].length });
+  }
+  return spans;
+}
+
+function sentenceSpans(text, start = 0, end = text.length) {
+  return splitSentenceNodes(text.slice(start, end))
+    .filter(node => node.type === 'Sentence')
+    .map(node => ({ start: start + node.range[0], end: start + node.range[1] }));
+}
+
+// Split [start, end) at `separator`, dropping the separator itself
+function separatorSpans(text, start, end, separator) {
+  const spans = [];
+  let from = start;
+  for (const match of text.slice(start, end).matchAll(separator)) {
+    spans.push({ start: from, end: start + match.index });
+    from = start + match.index + match[0].length;
+  }
+  spans.push({ start: from, end });
+  return spans.filter(span => span.end > span.start);
+}
+
+// Hard split of a span longer than `size`: by words, and by characters for a single overlong word
+function splitOversized(text, span, size, measure) {
+  const words = wordSpans(text, span.start, span.end);
+  if (words.length > 1) return words.flatMap(word => measure(text.slice(word.start, word.end)) > size
+    ? splitOversized(text, word, size, measure)
+    : [word]);
+
+  const pieces = [];
+  for (let start = span.start; start < span.end;) {
+    let end = Math.min(span.end, start + size);
+    while (end > start + 1 && measure(text.slice(start, end)) > size) end--;
+    pieces.push({ start, end });
+    start = end;
+  }
+  return pieces;
+}
+
+/**
+ * Greedily pack consecutive spans into chunks of at most `size` (in `measure` units). The next chunk
+ * repeats trailing spans of the previous one worth up to `overlap`, but always starts at least one span
+ * later, so it can never stall however large the overlap is.
+ */
+function packSpans(text, spans, { size, overlap = 0, measure = characters }) {
+  const fitted = spans.flatMap(span => measure(text.slice(span.start, span.end)) > size
+    ? splitOversized(text, span, size, measure)
+    : [span]);
+
+  // Characters count the gaps between spans; tokens are summed per span, since whitespace adds none
+  const prefix = [0];
+  for (const span of fitted) prefix.push(prefix[prefix.length - 1] + measure(text.slice(span.start, span.end)));
+  const rangeSize = (a, b) => measure === characters ? fitted[b].end - fitted[a].start : prefix[b + 1] - prefix[a];
+
+  const chunks = [];
+  let first = 0;
+
+  while (first < fitted.length) {
+    let last = first;
+    while (last + 1 < fitted.length && rangeSize(first, last + 1) <= size) last++;
+    chunks.push({ start: fitted[first].start, end: fitted[last].end });
+    if (last === fitted.length - 1) break;
+
+    let next = last + 1;
+    while (next - 1 > first && rangeSize(next - 1, last) <= overlap) next--;
+    first = next;
+  }
+
+  return chunks;
+}
+
+function recursiveSpans(text, start, end, size, separators = RECURSIVE_SEPARATORS) {
+  if (end - start <= size || separators.length === 0) return [{ start, end }];
+
+  const [separator, ...rest] = separators;
+  return separatorSpans(text, start, end, separator)
+    .flatMap(span => recursiveSpans(text, span.start, span.end, size, rest));
+}
+
+// The original fixed-window chunker, with the window always moving forward
+function characterChunks(text, start, end, { size, overlap }) {
+  const chunks = [];
+  let from = start;
+
+  while (from < end) {
+    let to = Math.min(from + size, end);
+
+    // Try to break at sentence or word boundaries
+    if (to < end) {
+      const sentenceEnd = text.lastIndexOf('.', to);
+      const wordEnd = text.lastIndexOf(' ', to);
+
+      if (sentenceEnd > from + size * 0.5) {
+        to = sentenceEnd + 1;
+      } else if (wordEnd > from + size * 0.5) {
+        to = wordEnd;
+      }
+    }
+
+    chunks.push({ start: from, end: to });
+    if (to >= end) break;
+    // A chunk cut short at a boundary repeats at most half of itself, so each window moves forward
+    from = Math.max(to - Math.min(overlap, Math.floor((to - from) / 2)), from + 1);
+  }
+
+  return chunks;
+}
+
+const chunkers = {
+  character: characterChunks,
+  recursive: (text, start, end, options) => packSpans(text, recursiveSpans(text, start, end, options.size), options),
+  sentence: (text, start, end, options) => packSpans(text, sentenceSpans(text, start, end), options),
+  token: (text, start, end, options) => packSpans(text, wordSpans(text, start, end), {
+    size: options.maxTokens,
+    overlap: options.overlapTokens,
+    measure: estimateTokens
+  })
+};
+
+/**
+ * Find the scraped headings (`{ level, text }` with level as 2 or 'H2', or plain strings) in the flattened
+ * page text, in order. Headings that do not occur in the text (e.g. outside the main content) are skipped.
+ */
+export function locateHeadings(text, headings = []) {
+  const located = [];
+  const stack = [];
+  let cursor = 0;
+
+  for (const heading of headings) {
+    const headingText = String((typeof heading === 'string' ? heading : heading?.text) || '').replace(/\s+/g, ' ').trim();
+    const level = parseInt(String(heading?.level).replace(/\D/g, ''), 10) || 1;
+    const position = headingText ? text.indexOf(headingText, cursor) : -1;
+    if (position === -1) continue;
+
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+    stack.push({ level, text: headingText });
+    located.push({ position, path: stack.map(entry => entry.text) });
+    cursor = position + headingText.length;
+  }
+
+  return located;
+}
+
+function headingPathAt(located, position) {
+  let path = [];
+  for (const heading of located) {
+    if (heading.position > position) break;
+    path = heading.path;
+  }
+  return path;
+}
+
+/**
+ * Split `text` into chunks with the configured strategy.
+ * options: strategy, chunkSize / overlap (characters), maxTokens / overlapTokens (token strategy),
+ * sectionStrategy (what the heading strategy uses inside a section), headings (from the scraper).
+ */
+export function chunkText(text, options = {}) {
+  const strategy = options.strategy || 'recursive';
+  for (const name of [strategy, options.sectionStrategy]) {
+    if (name !== undefined && !CHUNKING_STRATEGIES.includes(name)) {
+      throw new Error(`Unknown chunking strategy: ${name}. Use one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+    }
+  }
+
+  // An overlap as large as the chunk would move each window forward by a single character or word
+  const size = Math.max(1, options.chunkSize ?? 512);
+  const maxTokens = Math.max(1, options.maxTokens ?? 256);
+  const settings = {
+    size,
+    overlap: Math.min(Math.max(0, options.overlap ?? 50), Math.floor(size / 2)),
+    maxTokens,
+    overlapTokens: Math.min(Math.max(0, options.overlapTokens ?? 32), Math.floor(maxTokens / 2))
+  };
+  const located = locateHeadings(text, options.headings);
+
+  let ranges;
+  if (strategy === 'heading') {
+    const sectionStrategy = options.sectionStrategy && options.sectionStrategy !== 'heading'
+      ? options.sectionStrategy
+      : 'recursive';
+    const bounds = [0, ...located.map(heading => heading.position).filter(position => position > 0), text.length];
+    ranges = bounds.slice(0, -1).flatMap((start, i) => chunkers[sectionStrategy](text, start, bounds[i + 1], settings));
+  } else {
+    ranges = chunkers[strategy](text, 0, text.length, settings);
+  }
+
+  return ranges
+    .map(({ start, end }) => {
+      const raw = text.slice(start, end);
+      const leading = raw.length - raw.trimStart().length;
+      return {
+        text: raw.trim(),
+        start: start + leading,
+        end: start + leading + raw.trim().length
+      };
+    })
+    .filter(chunk => chunk.text.length > 0)
+    .map(chunk => ({ ...chunk, headingPath: headingPathAt(located, chunk.start) }));
+}
@@ -0,0 +1,47 @@
+// Helpers for shaping embeddings returned by the OpenAI-compatible `/v1/embeddings` endpoint
+import { LocalHashingProvider } from './models.js';
+
+export const ENCODING_FORMATS = ['float', 'base64'];
+
+function normalize(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+}
+
+// Shorten to the first `dimensions` values and re-normalize, as OpenAI does for the `dimensions` parameter
+export function truncateEmbedding(vector, dimensions) {
+  if (!dimensions || dimensions >= vector.length) return vector;
+  return normalize(vector.slice(0, dimensions));
+}
+
+// base64 is the little-endian float32 buffer, matching the OpenAI API
+export function encodeEmbedding(vector, encodingFormat = 'float') {
+  if (encodingFormat !== 'base64') return vector;
+  return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+// Opt-in fallback: term-frequency hashed vectors that are stable for the same text, at the dimension the
+// configured provider would have produced
+export async function deterministicEmbedding(text, dimensions) {
+  return new LocalHashingProvider({ name: 'fallback', dimensions, idf: { enabled: false } }).generateEmbedding(text);
+}
+
+// Returns an error message for an invalid request, or null
+export function validateEmbeddingRequest({ input, encoding_format: encodingFormat, dimensions }) {
+  const inputs = Array.isArray(input) ? input : [input];
+
+  if (input === undefined || input === null || inputs.length === 0) {
+    return 'Input is required';
+  }
+  if (!inputs.every(text => typeof text === 'string' && text.length > 0)) {
+    return 'Input must be a non-empty string or an array of non-empty strings';
+  }
+  if (encodingFormat !== undefined && !ENCODING_FORMATS.includes(encodingFormat)) {
+    return `encoding_format must be one of: ${ENCODING_FORMATS.join(', ')}`;
+  }
+  if (dimensions !== undefined && (!Number.isInteger(dimensions) || dimensions < 1)) {
+    return 'dimensions must be a positive integer';
+  }
+
+  return null;
+}
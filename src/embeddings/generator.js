@@ -1,104 +1,302 @@
+import PQueue from 'p-queue';
 import logger from '../utils/logger.js';
 import { getConfig } from '../utils/config.js';
-import { LMStudioProvider, OpenAIProvider, LocalMockProvider } from './models.js';
+import {
+  LMStudioProvider,
+  OpenAIProvider,
+  OllamaProvider,
+  OpenAICompatibleProvider,
+  LocalHashingProvider
+} from './models.js';
+import EmbeddingCache, { cacheKey } from './cache.js';
+import ProviderHealth from './health.js';
+import { chunkText } from './chunkers.js';
+
+// Provider for one `embedding.providers` entry, or null for an unknown type. `type` picks the
+// implementation, so several providers of one kind can have their own names.
+export function createProvider(providerConfig) {
+  switch (providerConfig.type || providerConfig.name) {
+    case 'lmstudio':
+      return new LMStudioProvider(providerConfig);
+    case 'openai':
+      return new OpenAIProvider(providerConfig);
+    case 'ollama':
+      return new OllamaProvider(providerConfig);
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider(providerConfig);
+    case 'local':
+    case 'hashing':
+    case 'mock':
+      return new LocalHashingProvider(providerConfig);
+    default:
+      return null;
+  }
+}
 
 export class EmbeddingGenerator {
   constructor() {
     this.providers = [];
     this.currentProvider = null;
+    this.health = new Map();
+    this.probeTimer = null;
+    this.cache = new EmbeddingCache({ enabled: false });
   }
 
   async initialize() {
     const config = await getConfig();
+    this.cache = new EmbeddingCache(config.embedding.cache);
+    await this.cache.initialize();
+    const healthConfig = config.embedding.health || {};
     const providerConfigs = config.embedding.providers.sort((a, b) => a.priority - b.priority);
 
     for (const providerConfig of providerConfigs) {
-      let provider;
-      
-      switch (providerConfig.name) {
-        case 'lmstudio':
-          provider = new LMStudioProvider(providerConfig);
-          break;
-        case 'openai':
-          provider = new OpenAIProvider(providerConfig);
-          break;
-        case 'local':
-          provider = new LocalMockProvider(providerConfig);
-          break;
-        default:
-          logger.warn(`Unknown embedding provider: ${providerConfig.name}`);
-          continue;
+      if (providerConfig.enabled === false) continue;
+
+      const provider = createProvider(providerConfig);
+      if (!provider) {
+        logger.warn(`Unknown embedding provider: ${providerConfig.name}`);
+        continue;
       }
 
       this.providers.push(provider);
+      this.health.set(provider.name, new ProviderHealth(provider.name, healthConfig));
     }
 
     // Find the first available provider
     await this.selectProvider();
+
+    // Re-probe providers so traffic returns to a higher-priority one once it recovers
+    const probeInterval = healthConfig.probeInterval ?? 60000;
+    if (probeInterval > 0) {
+      this.probeTimer = setInterval(() => {
+        this.probeProviders().catch(error => logger.warn('Embedding provider probe failed:', error.message));
+      }, probeInterval);
+      this.probeTimer.unref();
+    }
   }
 
-  async selectProvider() {
-    for (const provider of this.providers) {
+  close() {
+    clearInterval(this.probeTimer);
+    this.probeTimer = null;
+  }
+
+  // Persist the cache index and any provider state (e.g. the local provider's IDF table)
+  async flush() {
+    await this.cache.flush();
+    await Promise.all(this.providers.map(provider => provider.flush?.()));
+  }
+
+  // Whether any provider weights vectors by corpus statistics (the local provider's IDF table)
+  learnsFromCorpus() {
+    return this.providers.some(provider => provider.learn);
+  }
+
+  // Recount corpus statistics: beginRebuild(), learnDocuments(texts) for every stored chunk, then
+  // commitRebuild(). Vectors keep the previous statistics until the commit, and every stored vector
+  // must then be re-embedded (see scripts/reembed.js) to stay comparable with queries.
+  beginRebuild() {
+    this.providers.forEach(provider => provider.beginRebuild?.());
+  }
+
+  learnDocuments(texts) {
+    this.providers.forEach(provider => provider.learn?.(texts));
+  }
+
+  async commitRebuild() {
+    await Promise.all(this.providers.map(provider => provider.commitRebuild?.()));
+  }
+
+  // Check every provider's isAvailable() and update its circuit
+  async probeProviders() {
+    await Promise.all(this.providers.map(async provider => {
+      const health = this.health.get(provider.name);
       try {
-        const isAvailable = await provider.isAvailable();
-        if (isAvailable) {
-          this.currentProvider = provider;
-          logger.info(`Selected embedding provider: ${provider.name}`);
-          return provider;
-        }
+        health.recordProbe(await provider.isAvailable());
       } catch (error) {
-        logger.warn(`Provider ${provider.name} is not available:`, error.message);
+        health.recordProbe(false, error);
       }
+    }));
+
+    const preferred = this.pickProvider();
+    if (preferred && preferred !== this.currentProvider) {
+      logger.info(`Embedding provider switched to ${preferred.name}`);
+      this.currentProvider = preferred;
     }
-    
-    throw new Error('No embedding providers available');
   }
 
-  async generateEmbedding(text, retryCount = 0) {
-    if (!this.currentProvider) {
-      await this.selectProvider();
+  async selectProvider() {
+    await this.probeProviders();
+
+    const provider = this.pickProvider();
+    if (!provider) {
+      throw new Error('No embedding providers available');
     }
 
+    this.currentProvider = provider;
+    logger.info(`Selected embedding provider: ${provider.name}`);
+    return provider;
+  }
+
+  // Providers that may take a request right now, highest priority first. A healthy provider named
+  // `preferred` (e.g. the one that built a vector store collection) moves to the front.
+  candidateProviders(preferred) {
+    const healthy = this.providers.filter(provider => this.health.get(provider.name).canAttempt());
+    const index = healthy.findIndex(provider => provider.name === preferred);
+    return index > 0 ? [healthy[index], ...healthy.slice(0, index), ...healthy.slice(index + 1)] : healthy;
+  }
+
+  pickProvider(preferred) {
+    return this.candidateProviders(preferred)[0] || null;
+  }
+
+  // Run a provider call, recording its outcome and latency. Requests the provider rejected as
+  // invalid (e.g. a 400 for an oversized input) say nothing about its health and are not counted.
+  // A half-open provider takes one trial call at a time; concurrent callers are refused like an open one.
+  async track(provider, call) {
+    const health = this.health.get(provider.name);
+    if (!health.beginAttempt()) {
+      throw new Error(`Circuit for ${provider.name} is ${health.state}`);
+    }
+
+    const startTime = Date.now();
     try {
-      const embedding = await this.currentProvider.generateEmbedding(text);
-      logger.debug(`Generated embedding using ${this.currentProvider.name}`, {
-        textLength: text.length,
-        embeddingDimensions: embedding.length
-      });
-      return {
-        embedding,
-        provider: this.currentProvider.name,
-        dimensions: embedding.length,
-        timestamp: new Date().toISOString()
-      };
+      const result = await call();
+      health.recordSuccess(Date.now() - startTime);
+      return result;
     } catch (error) {
-      logger.error(`Embedding generation failed with ${this.currentProvider.name}:`, error.message);
-      
-      const config = await getConfig();
-      const maxRetries = config.embedding.retryAttempts || 3;
-      
-      if (retryCount < maxRetries) {
-        logger.info(`Trying next provider (attempt ${retryCount + 1}/${maxRetries})`);
-        
-        // Remove current provider and try next one
-        const currentIndex = this.providers.indexOf(this.currentProvider);
-        if (currentIndex < this.providers.length - 1) {
-          this.currentProvider = this.providers[currentIndex + 1];
-          return this.generateEmbedding(text, retryCount + 1);
-        }
+      const status = error.response?.status;
+      if (!status || status >= 500 || [404, 408, 429].includes(status)) {
+        health.recordFailure(error, Date.now() - startTime);
+      }
+      throw error;
+    } finally {
+      health.endAttempt();
+    }
+  }
+
+  getHealthStats() {
+    return Object.fromEntries([...this.health].map(([name, health]) => [name, health.getStats()]));
+  }
+
+  // Cached result for a text under the given provider, or null
+  async cachedEmbedding(text, provider = this.currentProvider) {
+    if (provider.cacheable === false) return null;
+
+    const entry = await this.cache.get(cacheKey(provider.name, provider.model, text));
+    // Entries written before the provider's configured dimensions changed are stale
+    const dimensions = provider.config.dimensions;
+    if (!entry || (dimensions && entry.embedding.length !== dimensions)) return null;
+
+    return {
+      embedding: entry.embedding,
+      provider: entry.provider,
+      model: entry.model,
+      dimensions: entry.embedding.length,
+      timestamp: new Date().toISOString(),
+      cached: true
+    };
+  }
+
+  async cacheEmbedding(provider, text, embedding) {
+    if (provider.cacheable === false) return;
+
+    await this.cache.set(cacheKey(provider.name, provider.model, text), {
+      embedding,
+      provider: provider.name,
+      model: provider.model
+    });
+  }
+
+  // Try healthy providers in priority order, up to `embedding.retryAttempts` fallbacks.
+  // `options.provider` names a provider to try first
+  async generateEmbedding(text, options = {}) {
+    const config = await getConfig();
+    const maxRetries = config.embedding.retryAttempts || 3;
+    const candidates = this.candidateProviders(options.provider).slice(0, maxRetries + 1);
+    let lastError = null;
+
+    if (candidates.length === 0) {
+      throw new Error('No embedding providers available: all circuits are open');
+    }
+
+    for (const provider of candidates) {
+      const cached = await this.cachedEmbedding(text, provider);
+      if (cached) return cached;
+
+      try {
+        const embedding = await this.track(provider, () => provider.generateEmbedding(text));
+        logger.debug(`Generated embedding using ${provider.name}`, {
+          textLength: text.length,
+          embeddingDimensions: embedding.length
+        });
+        this.currentProvider = provider;
+        await this.cacheEmbedding(provider, text, embedding);
+        return {
+          embedding,
+          provider: provider.name,
+          model: provider.model,
+          dimensions: embedding.length,
+          timestamp: new Date().toISOString()
+        };
+      } catch (error) {
+        lastError = error;
+        logger.error(`Embedding generation failed with ${provider.name}:`, error.message);
       }
-      
-      throw new Error(`All embedding providers failed. Last error: ${error.message}`);
     }
+
+    throw new Error(`All embedding providers failed. Last error: ${lastError.message}`);
   }
 
-  async generateEmbeddings(texts) {
+  // Embed one batch with the preferred healthy provider, answering cached texts without a request. If the
+  // batched call fails, fall back to one call per text (with the usual provider fallback) so a bad
+  // input only fails its own slot.
+  async embedBatch(texts, offset, preferred) {
+    const provider = this.pickProvider(preferred);
+    const cached = provider
+      ? await Promise.all(texts.map(text => this.cachedEmbedding(text, provider)))
+      : texts.map(() => null);
+    const missing = texts.filter((text, i) => !cached[i]);
+
+    if (missing.length === 0) return cached;
+
+    if (provider) {
+      try {
+        const vectors = await this.track(provider, () => provider.generateEmbeddings(missing));
+        const timestamp = new Date().toISOString();
+        let next = 0;
+        this.currentProvider = provider;
+
+        return await Promise.all(cached.map(async (hit, i) => {
+          if (hit) return hit;
+
+          const embedding = vectors[next++];
+          await this.cacheEmbedding(provider, texts[i], embedding);
+          return {
+            embedding,
+            provider: provider.name,
+            model: provider.model,
+            dimensions: embedding.length,
+            timestamp
+          };
+        }));
+      } catch (error) {
+        logger.warn(`Batch embedding failed with ${provider.name}, retrying texts individually`, {
+          offset,
+          size: missing.length,
+          error: error.message
+        });
+      }
+    }
+
     const results = [];
-    
-    for (const text of texts) {
+    for (const [i, text] of texts.entries()) {
+      if (cached[i]) {
+        results.push(cached[i]);
+        continue;
+      }
+
       try {
-        const result = await this.generateEmbedding(text);
-        results.push(result);
+        results.push(await this.generateEmbedding(text, { provider: preferred }));
       } catch (error) {
         logger.error(`Failed to generate embedding for text:`, error);
         results.push({
@@ -108,40 +306,61 @@ export class EmbeddingGenerator {
         });
       }
     }
-    
     return results;
   }
 
-  // Split long text into chunks for embedding
-  chunkText(text, chunkSize = 512, overlap = 50) {
-    if (text.length <= chunkSize) {
-      return [text];
-    }
+  /**
+   * Embed many texts using batched provider requests (`embedding.batch.size` texts per request,
+   * `embedding.batch.concurrency` requests in flight). Results line up with `texts`; failed inputs
+   * hold `{ error }` and inputs skipped because `options.signal` aborted hold `null`.
+   * `options.onBatch({ offset, results })` fires as each batch finishes; `options.provider` names a
+   * provider to prefer while it is healthy.
+   */
+  async generateEmbeddings(texts, options = {}) {
+    const config = await getConfig();
+    const batchConfig = config.embedding.batch || {};
+    const providerConfig = this.pickProvider(options.provider)?.config || {};
+    const batchSize = Math.max(1, providerConfig.batchSize ?? batchConfig.size ?? 32);
+    const concurrency = Math.max(1, providerConfig.concurrency ?? batchConfig.concurrency ?? 2);
 
-    const chunks = [];
-    let start = 0;
-
-    while (start < text.length) {
-      let end = start + chunkSize;
-      
-      // Try to break at sentence or word boundaries
-      if (end < text.length) {
-        const sentenceEnd = text.lastIndexOf('.', end);
-        const wordEnd = text.lastIndexOf(' ', end);
-        
-        if (sentenceEnd > start + chunkSize * 0.5) {
-          end = sentenceEnd + 1;
-        } else if (wordEnd > start + chunkSize * 0.5) {
-          end = wordEnd;
-        }
-      }
+    const results = new Array(texts.length).fill(null);
+    const queue = new PQueue({ concurrency });
+    const tasks = [];
+
+    for (let offset = 0; offset < texts.length; offset += batchSize) {
+      const batch = texts.slice(offset, offset + batchSize);
+
+      tasks.push(queue.add(async () => {
+        if (options.signal?.aborted) return;
 
-      chunks.push(text.substring(start, end).trim());
-      start = end - overlap;
+        const batchResults = await this.embedBatch(batch, offset, options.provider);
+        batchResults.forEach((result, i) => {
+          results[offset + i] = result;
+        });
+
+        if (options.onBatch) {
+          await options.onBatch({ offset, results: batchResults });
+        }
+      }));
     }
 
-    return chunks;
+    await Promise.all(tasks);
+
+    logger.debug('Generated batched embeddings', {
+      texts: texts.length,
+      batchSize,
+      concurrency,
+      failed: results.filter(result => result?.error).length
+    });
+
+    return results;
   }
+
+  // Split long text into fixed-size character chunks; see chunkers.js for the other strategies
+  chunkText(text, chunkSize = 512, overlap = 50) {
+    return chunkText(text, { strategy: 'character', chunkSize, overlap }).map(chunk => chunk.text);
+  }
+
 }
 
 export default EmbeddingGenerator;
@@ -0,0 +1,140 @@
+// Offline text vectors by feature hashing: words, word bigrams and character n-grams are hashed into a
+// fixed number of dimensions and weighted by TF-IDF, so texts that share vocabulary get similar vectors
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+// Relative weight of each feature kind; character n-grams let inflections and typos still overlap
+const FEATURE_WEIGHTS = { word: 1, bigram: 0.5, char: 0.3 };
+const CHAR_NGRAMS = [3, 4];
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Lowercased letter/digit runs with accents removed
+export function tokenize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Term counts per feature, keyed `<kind>:<feature>`
+export function extractFeatures(text) {
+  const tokens = tokenize(text);
+  const counts = new Map();
+  const add = feature => counts.set(feature, (counts.get(feature) || 0) + 1);
+
+  tokens.forEach((token, i) => {
+    add(`word:${token}`);
+    if (i > 0) add(`bigram:${tokens[i - 1]} ${token}`);
+
+    const padded = `#${token}#`;
+    for (const n of CHAR_NGRAMS) {
+      for (let j = 0; j + n <= padded.length; j++) {
+        add(`char:${padded.slice(j, j + n)}`);
+      }
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Document frequencies of hashed features, saved to `path`. The table is a fixed snapshot of the vector
+ * store's chunks: stored vectors and queries are weighted by the same counts, so scores never drift as
+ * content is added or deleted. Only `npm run reembed` replaces it, recounting the chunks stored at that
+ * time and re-weighting every stored vector with the new table. Features are counted per hash bucket
+ * (`buckets` of them), which keeps the table a fixed size without storing a vocabulary.
+ */
+export class IdfTable {
+  constructor(options = {}) {
+    this.path = options.path || null;
+    this.buckets = options.buckets ?? 262144;
+    this.documents = 0;
+    this.df = new Map();
+    this.loadPromise = null;
+  }
+
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        if (!this.path) return;
+        try {
+          const data = JSON.parse(await fs.readFile(this.path, 'utf8'));
+          if (data.buckets !== this.buckets) {
+            logger.warn(`Ignoring IDF table at ${this.path}: built for ${data.buckets} buckets, configured ${this.buckets}`);
+            return;
+          }
+          this.documents = data.documents;
+          this.df = new Map(Object.entries(data.df).map(([bucket, count]) => [Number(bucket), count]));
+          logger.info(`Loaded IDF table with ${this.documents} documents`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') logger.warn('Failed to load IDF table:', error.message);
+        }
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  bucket(feature) {
+    return fnv1a(feature) % this.buckets;
+  }
+
+  // Smoothed inverse document frequency; every feature weighs 1 until a table has been built
+  idf(feature) {
+    const df = this.df.get(this.bucket(feature)) || 0;
+    return Math.log((1 + this.documents) / (1 + df)) + 1;
+  }
+
+  // Count one document while building a table
+  addDocument(features) {
+    const buckets = new Set([...features.keys()].map(feature => this.bucket(feature)));
+    for (const bucket of buckets) {
+      this.df.set(bucket, (this.df.get(bucket) || 0) + 1);
+    }
+    this.documents++;
+  }
+
+  // Take over the counts of a newly built table and save them
+  async replace(table) {
+    this.documents = table.documents;
+    this.df = table.df;
+    this.loadPromise = Promise.resolve();
+    await this.flush();
+  }
+
+  async flush() {
+    if (!this.path || this.documents === 0) return;
+
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.writeFile(this.path, JSON.stringify({
+      buckets: this.buckets,
+      documents: this.documents,
+      df: Object.fromEntries(this.df)
+    }));
+  }
+}
+
+// Signed feature hashing: the sign bit keeps colliding features from only ever adding up
+export function hashedVector(features, dimensions, weight = () => 1) {
+  const vector = new Array(dimensions).fill(0);
+
+  for (const [feature, count] of features) {
+    const kind = feature.slice(0, feature.indexOf(':'));
+    const hash = fnv1a(feature);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * (1 + Math.log(count)) * FEATURE_WEIGHTS[kind] * weight(feature);
+  }
+
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+}
@@ -0,0 +1,125 @@
+// Per-provider health tracking with a circuit breaker.
+//
+// closed:    requests flow; `failureThreshold` consecutive failures open the circuit
+// open:      requests skip the provider until `resetTimeout` passes or a probe succeeds
+// half-open: one request at a time is a trial; success closes the circuit, failure opens it again.
+//            Other requests are refused as if the circuit were open until the trial settles.
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+export class ProviderHealth {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ?? 3;
+    this.resetTimeout = options.resetTimeout ?? 30000;
+    this.windowSize = options.window ?? 20;
+
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.outcomes = [];
+    this.latencies = [];
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.lastProbe = null;
+  }
+
+  record(success, latency) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > this.windowSize) this.outcomes.shift();
+
+    if (latency !== undefined) {
+      this.latencies.push(latency);
+      if (this.latencies.length > this.windowSize) this.latencies.shift();
+    }
+  }
+
+  recordSuccess(latency) {
+    this.record(true, latency);
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date().toISOString();
+    this.state = CircuitState.CLOSED;
+    this.openedAt = null;
+  }
+
+  recordFailure(error, latency) {
+    this.record(false, latency);
+    this.consecutiveFailures++;
+    this.lastError = error?.message || String(error);
+    this.lastFailureAt = new Date().toISOString();
+
+    if (this.state === CircuitState.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  open() {
+    this.state = CircuitState.OPEN;
+    this.openedAt = Date.now();
+  }
+
+  // Whether a request may go to this provider; an open circuit turns half-open once resetTimeout passes
+  canAttempt() {
+    if (this.state === CircuitState.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = CircuitState.HALF_OPEN;
+    }
+    return this.state === CircuitState.CLOSED || (this.state === CircuitState.HALF_OPEN && !this.trialInFlight);
+  }
+
+  // Claim the right to send a request now. In half-open this takes the single trial slot, which
+  // stays taken until endAttempt(); returns false when the request must go elsewhere.
+  beginAttempt() {
+    if (!this.canAttempt()) return false;
+    if (this.state === CircuitState.HALF_OPEN) this.trialInFlight = true;
+    return true;
+  }
+
+  // Release the trial slot once the request has settled, whether or not its outcome was recorded
+  endAttempt() {
+    this.trialInFlight = false;
+  }
+
+  // Result of a periodic isAvailable() probe
+  recordProbe(available, error) {
+    this.lastProbe = {
+      available,
+      at: new Date().toISOString(),
+      ...(error ? { error: error.message } : {})
+    };
+
+    if (available && this.state === CircuitState.OPEN) {
+      this.state = CircuitState.HALF_OPEN;
+    } else if (!available && this.state !== CircuitState.OPEN) {
+      this.lastError = error?.message || 'Availability check failed';
+      this.open();
+    }
+  }
+
+  getStats() {
+    const failures = this.outcomes.filter(success => !success).length;
+    const averageLatency = this.latencies.length > 0
+      ? Math.round(this.latencies.reduce((sum, latency) => sum + latency, 0) / this.latencies.length)
+      : null;
+
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      requests: this.outcomes.length,
+      errorRate: this.outcomes.length > 0 ? failures / this.outcomes.length : 0,
+      averageLatencyMs: averageLatency,
+      lastLatencyMs: this.latencies.at(-1) ?? null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastProbe: this.lastProbe
+    };
+  }
+}
+
+export default ProviderHealth;
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import logger from '../utils/logger.js';
 import { getConfig } from '../utils/config.js';
+import { IdfTable, extractFeatures, hashedVector } from './hashing.js';
 
 export class EmbeddingProvider {
   constructor(providerConfig) {
@@ -9,15 +10,41 @@ export class EmbeddingProvider {
     this.priority = providerConfig.priority || 999;
   }
 
+  // Model id this provider answers to; the local provider has no model name of its own
+  get model() {
+    return this.config.model || `${this.name}-${this.config.type || 'embedding'}`;
+  }
+
   async generateEmbedding(text) {
     throw new Error('generateEmbedding must be implemented by subclass');
   }
 
+  // Providers without a batch API embed one text at a time
+  async generateEmbeddings(texts) {
+    const embeddings = [];
+    for (const text of texts) {
+      embeddings.push(await this.generateEmbedding(text));
+    }
+    return embeddings;
+  }
+
   async isAvailable() {
     return true;
   }
 }
 
+// Order a batched `/v1/embeddings` response by input index and check every input was answered
+function batchEmbeddings(data, count, label) {
+  const items = Array.isArray(data?.data) ? data.data : [];
+  if (items.length !== count) {
+    throw new Error(`Invalid response format from ${label}: expected ${count} embeddings, got ${items.length}`);
+  }
+
+  return [...items]
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .map(item => item.embedding);
+}
+
 export class LMStudioProvider extends EmbeddingProvider {
   async generateEmbedding(text) {
     try {
@@ -45,6 +72,29 @@ export class LMStudioProvider extends EmbeddingProvider {
     }
   }
 
+  async generateEmbeddings(texts) {
+    try {
+      const response = await axios.post(`${this.config.url}${this.config.endpoint}`, {
+        input: texts,
+        model: this.config.model,
+        encoding_format: 'float'
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'LMStudio-URL-Scraper-MCP/1.0'
+        },
+        timeout: this.config.timeout || 30000
+      });
+
+      return batchEmbeddings(response.data, texts.length, 'LM Studio');
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error('LM Studio: No embedding model loaded. Please load an embedding model in LM Studio.');
+      }
+      throw error;
+    }
+  }
+
   async isAvailable() {
     try {
       const response = await axios.get(`${this.config.url}/health`, { timeout: 5000 });
@@ -86,37 +136,234 @@ export class OpenAIProvider extends EmbeddingProvider {
     }
   }
 
+  async generateEmbeddings(texts) {
+    if (!this.config.apiKey) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    try {
+      const response = await axios.post(`${this.config.url}${this.config.endpoint}`, {
+        input: texts,
+        model: this.config.model,
+        encoding_format: 'float'
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.config.apiKey}`
+        },
+        timeout: this.config.timeout || 30000
+      });
+
+      return batchEmbeddings(response.data, texts.length, 'OpenAI');
+    } catch (error) {
+      if (error.response?.status === 401) {
+        throw new Error('OpenAI: Invalid API key');
+      }
+      throw error;
+    }
+  }
+
   async isAvailable() {
     return !!this.config.apiKey;
   }
 }
 
-export class LocalMockProvider extends EmbeddingProvider {
+// Ollama's `/api/embeddings` takes one prompt per request, so texts are embedded one at a time
+export class OllamaProvider extends EmbeddingProvider {
   async generateEmbedding(text) {
-    // Generate a deterministic mock embedding based on text hash
-    const hash = this.simpleHash(text);
+    try {
+      const response = await axios.post(`${this.config.url}${this.config.endpoint || '/api/embeddings'}`, {
+        model: this.config.model,
+        prompt: text
+      }, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: this.config.timeout || 30000
+      });
+
+      const embedding = response.data?.embedding;
+      if (Array.isArray(embedding) && embedding.length > 0) {
+        return embedding;
+      }
+      throw new Error('Invalid response format from Ollama');
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`Ollama: model ${this.config.model} not found. Pull it with \`ollama pull ${this.config.model}\`.`);
+      }
+      throw error;
+    }
+  }
+
+  // Available when the server answers and has the model pulled
+  async isAvailable() {
+    try {
+      const response = await axios.get(`${this.config.url}/api/tags`, { timeout: 5000 });
+      const names = (response.data?.models || []).map(model => model.name);
+      return names.includes(this.config.model) || names.includes(`${this.config.model}:latest`);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Read a dot-separated path such as `data` or `result.vectors`; an empty path is the value itself
+function valueAt(value, path) {
+  if (!path) return value;
+  return path.split('.').reduce((current, key) => current?.[key], value);
+}
+
+/**
+ * Any server with an OpenAI-style embeddings endpoint (llama.cpp server, vLLM, Text Embeddings Inference, ...).
+ * Auth and field names are configurable:
+ *   auth:     { header: 'Authorization', scheme: 'Bearer' }, with the token from `apiKey` / `apiKeyEnv`
+ *   request:  { input: 'input', model: 'model', batch: true, extra: {} }
+ *   response: { data: 'data', embedding: 'embedding', index: 'index' }
+ * `request.model: null` leaves the model out of the body, `request.batch: false` sends one text per request,
+ * and `response.data: ''` reads the response body itself as the list of embeddings.
+ */
+export class OpenAICompatibleProvider extends EmbeddingProvider {
+  headers() {
+    const headers = { 'Content-Type': 'application/json', ...this.config.headers };
+    if (this.config.apiKey) {
+      const auth = this.config.auth || {};
+      const scheme = auth.scheme ?? 'Bearer';
+      headers[auth.header || 'Authorization'] = scheme ? `${scheme} ${this.config.apiKey}` : this.config.apiKey;
+    }
+    return headers;
+  }
+
+  requestBody(input) {
+    const request = this.config.request || {};
+    const body = { ...request.extra };
+    body[request.input || 'input'] = input;
+    if (this.config.model && request.model !== null) {
+      body[request.model || 'model'] = this.config.model;
+    }
+    return body;
+  }
+
+  parseEmbeddings(data, count) {
+    const response = this.config.response || {};
+    const items = valueAt(data, response.data ?? 'data');
+    // A single-text response may be one object or one bare vector rather than a list
+    const list = !Array.isArray(items) || typeof items[0] === 'number' ? [items] : items;
+
+    if (list.length !== count) {
+      throw new Error(`Invalid response format from ${this.name}: expected ${count} embeddings, got ${list.length}`);
+    }
+
+    const indexField = response.index ?? 'index';
+    const embeddingField = response.embedding ?? 'embedding';
+    return list
+      .map((item, i) => ({
+        index: Array.isArray(item) ? i : (item?.[indexField] ?? i),
+        embedding: Array.isArray(item) ? item : valueAt(item, embeddingField)
+      }))
+      .sort((a, b) => a.index - b.index)
+      .map(({ embedding }) => {
+        if (!Array.isArray(embedding) || embedding.length === 0) {
+          throw new Error(`Invalid response format from ${this.name}: missing embedding`);
+        }
+        return embedding;
+      });
+  }
+
+  async post(input) {
+    try {
+      const response = await axios.post(
+        `${this.config.url}${this.config.endpoint || '/v1/embeddings'}`,
+        this.requestBody(input),
+        { headers: this.headers(), timeout: this.config.timeout || 30000 }
+      );
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 401 || status === 403) {
+        throw new Error(`${this.name}: authentication failed (HTTP ${status})`);
+      }
+      throw error;
+    }
+  }
+
+  async generateEmbedding(text) {
+    const batch = this.config.request?.batch !== false;
+    return this.parseEmbeddings(await this.post(batch ? [text] : text), 1)[0];
+  }
+
+  async generateEmbeddings(texts) {
+    if (this.config.request?.batch === false) {
+      return super.generateEmbeddings(texts);
+    }
+    return this.parseEmbeddings(await this.post(texts), texts.length);
+  }
+
+  // `healthEndpoint` defaults to `/v1/models`, which llama.cpp server and vLLM both serve; set it to
+  // null to skip the check
+  async isAvailable() {
+    const healthEndpoint = this.config.healthEndpoint === undefined ? '/v1/models' : this.config.healthEndpoint;
+    if (!healthEndpoint) return true;
+
+    try {
+      const response = await axios.get(`${this.config.url}${healthEndpoint}`, {
+        headers: this.headers(),
+        timeout: 5000
+      });
+      return response.status === 200;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Offline TF-IDF feature hashing (see hashing.js): no network or GPU, and texts that share words get
+// similar vectors. Document frequencies are a snapshot of the stored chunks, rebuilt by reembed (see
+// beginRebuild) and kept at `idf.path`; `idf.enabled: false` gives plain term-frequency vectors.
+export class LocalHashingProvider extends EmbeddingProvider {
+  constructor(providerConfig) {
+    super(providerConfig);
+    const idfConfig = providerConfig.idf || {};
+    this.idf = idfConfig.enabled === false ? null : new IdfTable(idfConfig);
+    this.rebuilding = null;
+    // Vectors change when the IDF table is rebuilt, and computing them is cheaper than a cache lookup
+    this.cacheable = false;
+  }
+
+  get model() {
+    return this.config.model || 'local-hashing';
+  }
+
+  async generateEmbedding(text) {
+    const features = extractFeatures(text);
     const dimensions = this.config.dimensions || 384;
-    const embedding = [];
-    
-    for (let i = 0; i < dimensions; i++) {
-      // Use hash and index to generate consistent values
-      const value = Math.sin((hash + i) * 0.1) * 2 - 1;
-      embedding.push(value);
-    }
-    
-    // Normalize the vector
-    const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    return embedding.map(val => val / magnitude);
-  }
-
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
-    }
-    return Math.abs(hash);
+
+    if (!this.idf) {
+      return hashedVector(features, dimensions);
+    }
+
+    await this.idf.load();
+    return hashedVector(features, dimensions, feature => this.idf.idf(feature));
+  }
+
+  // Start counting a new IDF table from the texts passed to learn(); vectors keep the current table
+  // until commitRebuild() swaps the new one in
+  beginRebuild() {
+    this.rebuilding = this.idf ? new IdfTable({ buckets: this.idf.buckets }) : null;
+  }
+
+  learn(texts) {
+    for (const text of texts) {
+      this.rebuilding?.addDocument(extractFeatures(text));
+    }
+  }
+
+  async commitRebuild() {
+    if (!this.rebuilding) return;
+    await this.idf.replace(this.rebuilding);
+    this.rebuilding = null;
+    logger.info(`Rebuilt IDF table from ${this.idf.documents} documents`);
+  }
+
+  async flush() {
+    await this.idf?.flush();
   }
 
   async isAvailable() {
@@ -331,12 +331,17 @@ export class BambiSleepKnowledgeBase {
    */
   getSection(section) {
     this.analytics.queriesProcessed++;
-    this.updatePopularTopics(section);
     
     if (!this.initialized) {
       throw new Error('Knowledge base not initialized. Call initialize() first.');
     }
-    
+
+    // Only own keys are sections; names like `constructor` or `__proto__` would reach Object.prototype
+    if (!Object.hasOwn(this.data, section)) {
+      return null;
+    }
+
+    this.updatePopularTopics(section);
     return this.data[section] || null;
   }
 
@@ -453,8 +458,10 @@ export class BambiSleepKnowledgeBase {
     // Exact match gets highest score
     if (lowerText === lowerTerm) return 1.0;
     
-    // Word boundary matches get high score
-    const wordMatch = new RegExp(`\\b${lowerTerm}\\b`).test(lowerText);
+    // Whole-word matches get high score. The term is escaped so input like `c++` or `(foo` is literal,
+    // and lookarounds replace \b so a term ending in a symbol still matches before a space.
+    const escapedTerm = lowerTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const wordMatch = new RegExp(`(?<!\\w)${escapedTerm}(?!\\w)`).test(lowerText);
     if (wordMatch) return 0.8;
     
     // Partial matches get lower scores based on position and frequency
@@ -0,0 +1,26 @@
+// JSON-RPC 2.0 error codes used by the MCP server
+export const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+export class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+
+  toJSON() {
+    const error = { code: this.code, message: this.message };
+    if (this.data !== undefined) {
+      error.data = this.data;
+    }
+    return error;
+  }
+}
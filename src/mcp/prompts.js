@@ -0,0 +1,148 @@
+// MCP prompt templates rendered with grounded context from the vector store and knowledge base
+import { getEmbeddingService, getKnowledgeBase } from './services.js';
+import { getSourceChunks, sourceUri, kbSectionUri } from './resources.js';
+import { JsonRpcError, ErrorCodes } from './errors.js';
+
+// Keep rendered prompts within a typical local model context window
+const MAX_SOURCE_CHARS = 12000;
+
+export const MCP_PROMPTS = [
+  {
+    name: 'summarize_source',
+    description: 'Summarize a scraped source using its stored content',
+    arguments: [
+      { name: 'url', description: 'Source URL that has been scraped and processed', required: true },
+      { name: 'focus', description: 'Optional aspect to focus the summary on', required: false }
+    ]
+  },
+  {
+    name: 'answer_from_kb_section',
+    description: 'Answer a question using a single knowledge base section',
+    arguments: [
+      { name: 'section', description: 'Knowledge base section name (e.g. triggers, files, sites)', required: true },
+      { name: 'question', description: 'Question to answer', required: true }
+    ]
+  },
+  {
+    name: 'compare_sources',
+    description: 'Compare the stored content of two scraped URLs',
+    arguments: [
+      { name: 'url_a', description: 'First source URL', required: true },
+      { name: 'url_b', description: 'Second source URL', required: true },
+      { name: 'aspect', description: 'Optional aspect to compare on', required: false }
+    ]
+  },
+  {
+    name: 'research_question',
+    description: 'Answer a question using the most similar stored chunks',
+    arguments: [
+      { name: 'question', description: 'Question to research', required: true },
+      { name: 'limit', description: 'Number of chunks to include (default 5)', required: false }
+    ]
+  }
+];
+
+function truncate(text, maxChars = MAX_SOURCE_CHARS) {
+  return text.length > maxChars ? `${text.substring(0, maxChars)}\n[...truncated]` : text;
+}
+
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+async function renderSource(url) {
+  const chunks = await getSourceChunks(url);
+  if (chunks.length === 0) {
+    throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `No stored content for source: ${url}`);
+  }
+
+  return {
+    title: chunks[0].title || 'Untitled',
+    text: truncate(chunks.map(chunk => chunk.text).join('\n\n'))
+  };
+}
+
+const renderers = {
+  async summarize_source({ url, focus }) {
+    const source = await renderSource(url);
+    const focusLine = focus ? `Focus on: ${focus}\n` : '';
+
+    return {
+      description: `Summary of ${source.title}`,
+      messages: [userMessage(
+        `Summarize the following content scraped from ${url} (${sourceUri(url)}).\n${focusLine}` +
+        `Only use information from the content below.\n\n--- ${source.title} ---\n${source.text}`
+      )]
+    };
+  },
+
+  async answer_from_kb_section({ section, question }) {
+    const kb = await getKnowledgeBase();
+    const sectionData = kb.getSection(section);
+    if (sectionData === null) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Knowledge base section not found: ${section}`);
+    }
+
+    return {
+      description: `Answer from knowledge base section "${section}"`,
+      messages: [userMessage(
+        `Answer the question using only the knowledge base section "${section}" (${kbSectionUri(section)}). ` +
+        `If the section does not contain the answer, say so.\n\n` +
+        `Section data:\n${truncate(JSON.stringify(sectionData, null, 2))}\n\nQuestion: ${question}`
+      )]
+    };
+  },
+
+  async compare_sources({ url_a: urlA, url_b: urlB, aspect }) {
+    const [sourceA, sourceB] = await Promise.all([renderSource(urlA), renderSource(urlB)]);
+    const aspectLine = aspect ? ` with respect to ${aspect}` : '';
+
+    return {
+      description: `Comparison of ${sourceA.title} and ${sourceB.title}`,
+      messages: [userMessage(
+        `Compare the two sources below${aspectLine}. Point out agreements, differences and anything only one of them covers.\n\n` +
+        `--- Source A: ${sourceA.title} (${urlA}) ---\n${truncate(sourceA.text, MAX_SOURCE_CHARS / 2)}\n\n` +
+        `--- Source B: ${sourceB.title} (${urlB}) ---\n${truncate(sourceB.text, MAX_SOURCE_CHARS / 2)}`
+      )]
+    };
+  },
+
+  async research_question({ question, limit }) {
+    const service = await getEmbeddingService();
+    const results = await service.searchSimilar(question, {
+      limit: parseInt(limit, 10) || 5,
+      threshold: 0
+    });
+
+    const context = results.map((result, i) => {
+      const metadata = result.embeddingData?.metadata || {};
+      return `[${i + 1}] ${metadata.title || 'Untitled'} (${metadata.source || 'unknown source'})\n${metadata.cleanedContent || metadata.summary || ''}`;
+    }).join('\n\n');
+
+    return {
+      description: `Research: ${question}`,
+      messages: [userMessage(
+        `Answer the question using the numbered excerpts below and cite them as [n]. ` +
+        `If they do not contain the answer, say so.\n\n` +
+        `${truncate(context || '(no stored content matched)')}\n\nQuestion: ${question}`
+      )]
+    };
+  }
+};
+
+export async function getPrompt(name, args = {}) {
+  const prompt = MCP_PROMPTS.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments
+    .filter(argument => argument.required && (args[argument.name] === undefined || args[argument.name] === ''))
+    .map(argument => argument.name);
+
+  if (missing.length > 0) {
+    throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Missing required arguments: ${missing.join(', ')}`);
+  }
+
+  return renderers[name](args);
+}
@@ -0,0 +1,141 @@
+// Pluggable MCP tool registry: tools are modules discovered from directories and toggled from config.
+//
+// A tool module default-exports:
+//   { name, description, input_schema, output_schema?, annotations?, enabled?, handler(input, context) }
+// `config.mcp.toolDirectories` lists extra directories (relative to the project root) to scan, and
+// `config.mcp.tools.<name>.enabled` overrides a tool's own `enabled` flag (default true).
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import logger from '../utils/logger.js';
+import { getConfig } from '../utils/config.js';
+import { JsonRpcError, ErrorCodes } from './errors.js';
+import { validate, formatErrors } from './schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../..');
+
+export const BUILTIN_TOOL_DIRECTORY = path.join(__dirname, 'tools');
+
+// Structured form of a tool result; output schemas are objects, so bare arrays are wrapped
+export function toStructuredResult(result) {
+  return Array.isArray(result) ? { results: result } : result;
+}
+
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(tool, source = 'inline') {
+    if (!tool || typeof tool.name !== 'string' || typeof tool.handler !== 'function' || !tool.input_schema) {
+      logger.warn(`Ignoring invalid MCP tool module: ${source}`);
+      return false;
+    }
+
+    if (this.tools.has(tool.name)) {
+      logger.warn(`Duplicate MCP tool "${tool.name}" in ${source}; keeping the first definition`);
+      return false;
+    }
+
+    this.tools.set(tool.name, tool);
+    return true;
+  }
+
+  async loadDirectory(directory, toolConfig = {}) {
+    let files;
+    try {
+      files = await fs.readdir(directory);
+    } catch (error) {
+      logger.warn(`MCP tool directory not readable: ${directory}`, { error: error.message });
+      return;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.js')).sort()) {
+      const modulePath = path.join(directory, file);
+      try {
+        const { default: tool } = await import(pathToFileURL(modulePath).href);
+        const enabled = toolConfig[tool?.name]?.enabled ?? tool?.enabled ?? true;
+
+        if (!enabled) {
+          logger.info(`MCP tool disabled by configuration: ${tool.name}`);
+          continue;
+        }
+
+        this.register(tool, modulePath);
+      } catch (error) {
+        logger.error(`Failed to load MCP tool module ${modulePath}:`, error);
+      }
+    }
+  }
+
+  list() {
+    return [...this.tools.values()];
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  // Validate input against the tool's input_schema, returning it with defaults applied
+  validateInput(tool, input) {
+    const { valid, errors, value } = validate(tool.input_schema, input === undefined ? {} : input);
+    if (!valid) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Invalid input for ${tool.name}: ${formatErrors(errors)}`, { errors });
+    }
+    return value;
+  }
+
+  // Execute a tool and return its raw result.
+  // `context.log(level, data)` streams intermediate output when the transport supports it
+  async execute(name, rawInput = {}, context = {}) {
+    const tool = this.get(name);
+    if (!tool) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Tool not found: ${name}`);
+    }
+
+    const input = this.validateInput(tool, rawInput);
+    const result = await tool.handler(input, context);
+
+    if (tool.output_schema) {
+      const output = validate(tool.output_schema, toStructuredResult(result));
+      if (!output.valid) {
+        logger.warn(`Tool ${name} returned a result that does not match its output schema`, { errors: output.errors });
+      }
+    }
+
+    return result;
+  }
+}
+
+let registryPromise = null;
+
+async function createRegistry() {
+  const config = await getConfig();
+  const mcpConfig = config.mcp || {};
+  const registry = new ToolRegistry();
+
+  const directories = [
+    BUILTIN_TOOL_DIRECTORY,
+    ...(mcpConfig.toolDirectories || []).map(directory => path.resolve(projectRoot, directory))
+  ];
+
+  for (const directory of directories) {
+    await registry.loadDirectory(directory, mcpConfig.tools || {});
+  }
+
+  logger.info(`MCP tool registry loaded ${registry.tools.size} tools`);
+  return registry;
+}
+
+// Shared registry, discovered once per process
+export function getToolRegistry() {
+  if (!registryPromise) {
+    registryPromise = createRegistry().catch(error => {
+      registryPromise = null;
+      throw error;
+    });
+  }
+  return registryPromise;
+}
@@ -0,0 +1,164 @@
+// MCP resources: vector store chunks and knowledge base sections addressable by stable URIs
+//   doc://<embeddingId>           one stored chunk
+//   source://<encoded source URL> every chunk stored for a source, in chunk order
+//   kb://section/<encoded name>   one knowledge base section as JSON
+import { getEmbeddingService, getKnowledgeBase } from './services.js';
+import { JsonRpcError, ErrorCodes } from './errors.js';
+
+const PAGE_SIZE = 100;
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'doc://{embeddingId}',
+    name: 'Stored chunk',
+    description: 'A single scraped content chunk from the vector store',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'source://{url}',
+    name: 'Stored source',
+    description: 'All stored chunks for a scraped source URL (URL-encoded)',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'kb://section/{section}',
+    name: 'Knowledge base section',
+    description: 'A section of the BambiSleep knowledge base',
+    mimeType: 'application/json'
+  }
+];
+
+export const docUri = id => `doc://${id}`;
+export const sourceUri = url => `source://${encodeURIComponent(url)}`;
+export const kbSectionUri = section => `kb://section/${encodeURIComponent(section)}`;
+
+function chunkLabel(entry) {
+  return entry.chunk !== undefined && entry.totalChunks
+    ? ` (chunk ${entry.chunk + 1}/${entry.totalChunks})`
+    : '';
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(String(offset)).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  const offset = parseInt(Buffer.from(cursor, 'base64').toString('utf8'), 10);
+  if (Number.isNaN(offset) || offset < 0) {
+    throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Invalid cursor');
+  }
+  return offset;
+}
+
+function chunkText(embeddingData) {
+  return embeddingData.metadata?.cleanedContent || embeddingData.metadata?.summary || '';
+}
+
+// Stored chunks for a source URL in chunk order, with their text loaded
+export async function getSourceChunks(url) {
+  const service = await getEmbeddingService();
+  const entries = (await service.vectorStore.listEmbeddings({ source: url }))
+    .filter(entry => entry.source === url)
+    .sort((a, b) => (a.chunk ?? 0) - (b.chunk ?? 0));
+
+  const chunks = [];
+  for (const entry of entries) {
+    const embeddingData = await service.vectorStore.getEmbedding(entry.id);
+    chunks.push({ id: entry.id, title: entry.title, chunk: entry.chunk, text: chunkText(embeddingData) });
+  }
+  return chunks;
+}
+
+export async function listResources(cursor) {
+  const kb = await getKnowledgeBase();
+  const service = await getEmbeddingService();
+  const entries = await service.vectorStore.listEmbeddings();
+
+  const resources = [
+    ...Object.keys(kb.data).map(section => ({
+      uri: kbSectionUri(section),
+      name: `Knowledge base: ${section}`,
+      mimeType: 'application/json'
+    })),
+    ...entries.map(entry => ({
+      uri: docUri(entry.id),
+      name: `${entry.title || 'Untitled'}${chunkLabel(entry)}`,
+      description: entry.source,
+      mimeType: 'text/plain'
+    }))
+  ];
+
+  const offset = cursor ? decodeCursor(cursor) : 0;
+  const page = resources.slice(offset, offset + PAGE_SIZE);
+  const result = { resources: page };
+
+  if (offset + PAGE_SIZE < resources.length) {
+    result.nextCursor = encodeCursor(offset + PAGE_SIZE);
+  }
+
+  return result;
+}
+
+export async function readResource(uri) {
+  if (typeof uri !== 'string') {
+    throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Resource uri is required');
+  }
+
+  const kbMatch = uri.match(/^kb:\/\/section\/([^/]+)$/);
+  if (kbMatch) {
+    const kb = await getKnowledgeBase();
+    let name;
+    try {
+      name = decodeURIComponent(kbMatch[1]);
+    } catch (error) {
+      throw new JsonRpcError(ErrorCodes.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+    const section = kb.getSection(name);
+    if (section === null) {
+      throw new JsonRpcError(ErrorCodes.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(section, null, 2) }]
+    };
+  }
+
+  const docMatch = uri.match(/^doc:\/\/(.+)$/);
+  if (docMatch) {
+    const service = await getEmbeddingService();
+    const id = docMatch[1];
+    if (!Object.hasOwn(service.vectorStore.index, id)) {
+      throw new JsonRpcError(ErrorCodes.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+    const embeddingData = await service.vectorStore.getEmbedding(id);
+    return {
+      contents: [{
+        uri,
+        mimeType: 'text/plain',
+        text: chunkText(embeddingData)
+      }]
+    };
+  }
+
+  const sourceMatch = uri.match(/^source:\/\/(.+)$/);
+  if (sourceMatch) {
+    const chunks = await getSourceChunks(decodeURIComponent(sourceMatch[1]));
+    if (chunks.length === 0) {
+      throw new JsonRpcError(ErrorCodes.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+
+    return {
+      contents: chunks.map(chunk => ({ uri: docUri(chunk.id), mimeType: 'text/plain', text: chunk.text }))
+    };
+  }
+
+  throw new JsonRpcError(ErrorCodes.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+}
+
+// URIs whose content changes when a vector store entry is saved or deleted
+export function affectedUris(entry) {
+  const uris = [docUri(entry.id)];
+  if (entry.source) {
+    uris.push(sourceUri(entry.source));
+  }
+  return uris;
+}
@@ -0,0 +1,122 @@
+// Minimal JSON Schema validator covering the keywords used by MCP tool schemas.
+// Returns a copy of the value with defaults applied plus a list of structured errors.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function validateNode(schema, value, path, errors) {
+  const at = path || '(root)';
+  const fail = (keyword, message) => errors.push({ path: at, keyword, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail('type', `must be ${types.join(' or ')}`);
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    fail('enum', `must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format === 'uri' && !isHttpUrl(value)) {
+      fail('format', 'must be a valid http(s) URL');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      return value.map((item, i) => validateNode(schema.items, item, `${path}[${i}]`, errors));
+    }
+    return value;
+  }
+
+  if (typeOf(value) === 'object') {
+    const result = { ...value };
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (result[name] === undefined) {
+        errors.push({ path: path ? `${path}.${name}` : name, keyword: 'required', message: 'is required' });
+      }
+    }
+
+    for (const [name, propertySchema] of Object.entries(properties)) {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (result[name] === undefined && propertySchema.default !== undefined) {
+        result[name] = clone(propertySchema.default);
+      }
+      if (result[name] !== undefined) {
+        result[name] = validateNode(propertySchema, result[name], propertyPath, errors);
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const name of Object.keys(result)) {
+        if (!(name in properties)) {
+          errors.push({ path: path ? `${path}.${name}` : name, keyword: 'additionalProperties', message: 'is not allowed' });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  return value;
+}
+
+export function validate(schema, value) {
+  const errors = [];
+  const result = validateNode(schema, value, '', errors);
+  return { valid: errors.length === 0, errors, value: result };
+}
+
+export function formatErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`).join('; ');
+}
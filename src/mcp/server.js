@@ -0,0 +1,355 @@
+// Model Context Protocol server: JSON-RPC 2.0 message handling, independent of transport
+import logger from '../utils/logger.js';
+import { getToolRegistry, toStructuredResult } from './registry.js';
+import { getEmbeddingService } from './services.js';
+import { RESOURCE_TEMPLATES, listResources, readResource, affectedUris } from './resources.js';
+import { MCP_PROMPTS, getPrompt } from './prompts.js';
+import { JsonRpcError, ErrorCodes } from './errors.js';
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// RFC 5424 severities, lowest first, as used by MCP logging notifications
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+export const SERVER_INFO = {
+  name: 'bambisleep-chat-mcp',
+  version: '1.0.0'
+};
+
+export class MCPServer {
+  constructor(options = {}) {
+    this.serverInfo = options.serverInfo || SERVER_INFO;
+    this.instructions = options.instructions || 'URL scraping, content embedding and semantic search tools for BambiSleep content.';
+    this.protocolVersion = null;
+    this.clientInfo = null;
+    this.clientCapabilities = {};
+    this.initialized = false;
+    this.logLevel = 'info';
+    this.transport = null;
+    this.inFlight = new Set();
+    this.activeRequests = new Map();
+    this.subscriptions = new Set();
+    this.resourceWatch = null;
+
+    this.methods = {
+      'initialize': params => this.handleInitialize(params),
+      'ping': () => ({}),
+      'logging/setLevel': params => this.handleSetLevel(params),
+      'tools/list': () => this.handleToolsList(),
+      'tools/call': (params, context) => this.handleToolsCall(params, context),
+      'resources/list': params => this.handleResourcesList(params),
+      'resources/templates/list': () => ({ resourceTemplates: RESOURCE_TEMPLATES }),
+      'resources/read': params => readResource(params.uri),
+      'resources/subscribe': params => this.handleSubscribe(params),
+      'resources/unsubscribe': params => this.handleUnsubscribe(params),
+      'prompts/list': () => ({ prompts: MCP_PROMPTS }),
+      'prompts/get': params => getPrompt(params.name, params.arguments)
+    };
+
+    this.notificationHandlers = {
+      'notifications/initialized': () => {
+        this.initialized = true;
+        logger.info('MCP client initialized', { client: this.clientInfo?.name });
+      },
+      'notifications/cancelled': params => this.cancelRequest(params.requestId, params.reason)
+    };
+  }
+
+  get capabilities() {
+    return {
+      tools: { listChanged: false },
+      resources: { subscribe: true, listChanged: true },
+      prompts: { listChanged: false },
+      logging: {}
+    };
+  }
+
+  // Attach a transport that delivers incoming messages and accepts outgoing ones
+  connect(transport) {
+    this.transport = transport;
+
+    transport.onmessage = async message => {
+      const pending = typeof message === 'string' ? this.handleRaw(message) : this.handle(message);
+      this.inFlight.add(pending);
+
+      try {
+        const response = await pending;
+        if (response !== null) {
+          transport.send(response);
+        }
+      } finally {
+        this.inFlight.delete(pending);
+      }
+    };
+
+    transport.start?.();
+  }
+
+  // Send a server-initiated notification over the connected transport
+  notify(method, params) {
+    if (!this.transport) return;
+    this.transport.send({ jsonrpc: '2.0', method, ...(params !== undefined && { params }) });
+  }
+
+  // Abort an in-flight request; handlers see it through context.signal
+  cancelRequest(requestId, reason) {
+    const controller = this.activeRequests.get(requestId);
+    if (!controller) return false;
+
+    logger.info('MCP request cancelled', { requestId, reason });
+    controller.abort(reason);
+    return true;
+  }
+
+  // Detach from shared state; called when a session ends
+  close() {
+    for (const controller of this.activeRequests.values()) {
+      controller.abort('Session closed');
+    }
+    this.activeRequests.clear();
+
+    if (this.resourceWatch) {
+      const { vectorStore, onChange } = this.resourceWatch;
+      vectorStore.off('saved', onChange);
+      vectorStore.off('deleted', onChange);
+      this.resourceWatch = null;
+    }
+    this.subscriptions.clear();
+    this.transport = null;
+  }
+
+  // Wait for requests that are still being processed
+  async drain() {
+    await Promise.allSettled([...this.inFlight]);
+  }
+
+  // Send a logging notification if it meets the level requested by the client
+  sendLog(level, loggerName, data, sendNotification = this.notify.bind(this)) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.logLevel)) return;
+    sendNotification('notifications/message', { level, logger: loggerName, data });
+  }
+
+  // Handle a parsed JSON-RPC payload (single message or batch); returns the response payload or null.
+  // `extra.sendNotification` lets a transport route request-scoped notifications (e.g. to an SSE response),
+  // and `extra.signal` aborts the requests when the transport loses the client
+  async handle(payload, extra = {}) {
+    if (Array.isArray(payload)) {
+      if (payload.length === 0) {
+        return this.errorResponse(null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, 'Empty batch'));
+      }
+
+      const responses = await Promise.all(payload.map(message => this.handleMessage(message, extra)));
+      const filtered = responses.filter(response => response !== null);
+      return filtered.length > 0 ? filtered : null;
+    }
+
+    return this.handleMessage(payload, extra);
+  }
+
+  // Handle a raw JSON string, reporting parse errors as JSON-RPC errors
+  async handleRaw(raw, extra = {}) {
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+    } catch (error) {
+      return this.errorResponse(null, new JsonRpcError(ErrorCodes.PARSE_ERROR, 'Parse error'));
+    }
+    return this.handle(payload, extra);
+  }
+
+  async handleMessage(message, extra = {}) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses from the client to server-initiated requests are not used yet
+      if (message && message.jsonrpc === '2.0' && message.method === undefined && 'id' in message) {
+        return null;
+      }
+      return this.errorResponse(message?.id ?? null, new JsonRpcError(ErrorCodes.INVALID_REQUEST, 'Invalid Request'));
+    }
+
+    const isNotification = !('id' in message);
+
+    if (isNotification) {
+      const handler = this.notificationHandlers[message.method];
+      if (handler) {
+        try {
+          await handler(message.params || {});
+        } catch (error) {
+          logger.warn(`MCP notification handler failed (${message.method}):`, error.message);
+        }
+      }
+      return null;
+    }
+
+    const method = this.methods[message.method];
+    if (!method) {
+      return this.errorResponse(message.id, new JsonRpcError(ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${message.method}`));
+    }
+
+    const controller = new AbortController();
+    const onTransportAbort = () => controller.abort('Client disconnected');
+    extra.signal?.addEventListener('abort', onTransportAbort, { once: true });
+    this.activeRequests.set(message.id, controller);
+
+    const sendNotification = extra.sendNotification || this.notify.bind(this);
+    const progressToken = message.params?._meta?.progressToken;
+
+    const context = {
+      requestId: message.id,
+      signal: controller.signal,
+      sendNotification,
+      // Progress is only reported when the client asked for it with a progress token
+      sendProgress: (progress, total, progressMessage) => {
+        if (progressToken === undefined || controller.signal.aborted) return;
+        sendNotification('notifications/progress', { progressToken, progress, total, message: progressMessage });
+      }
+    };
+
+    try {
+      const result = await method(message.params || {}, context);
+
+      // Cancelled requests get no response, so a result describing the cancellation is dropped here;
+      // tools stream what they finished as notifications instead
+      if (controller.signal.aborted) {
+        return null;
+      }
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return null;
+      }
+      if (!(error instanceof JsonRpcError)) {
+        logger.error(`MCP method error (${message.method}):`, error);
+      }
+      return this.errorResponse(message.id, error);
+    } finally {
+      this.activeRequests.delete(message.id);
+      extra.signal?.removeEventListener('abort', onTransportAbort);
+    }
+  }
+
+  errorResponse(id, error) {
+    const rpcError = error instanceof JsonRpcError
+      ? error
+      : new JsonRpcError(ErrorCodes.INTERNAL_ERROR, error.message || 'Internal error');
+
+    return { jsonrpc: '2.0', id, error: rpcError.toJSON() };
+  }
+
+  handleInitialize(params) {
+    const requested = params.protocolVersion;
+    this.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION;
+    this.clientInfo = params.clientInfo || null;
+    this.clientCapabilities = params.capabilities || {};
+
+    logger.info('MCP initialize', {
+      client: this.clientInfo?.name,
+      requestedVersion: requested,
+      protocolVersion: this.protocolVersion
+    });
+
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities: this.capabilities,
+      serverInfo: this.serverInfo,
+      instructions: this.instructions
+    };
+  }
+
+  handleSetLevel(params) {
+    if (!LOG_LEVELS.includes(params.level)) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Invalid log level: ${params.level}`);
+    }
+    this.logLevel = params.level;
+    return {};
+  }
+
+  // Start forwarding vector store changes as resource notifications (once per server)
+  async watchResources() {
+    if (this.resourceWatch) return;
+
+    const service = await getEmbeddingService();
+    const vectorStore = service.vectorStore;
+
+    const onChange = entry => {
+      for (const uri of affectedUris(entry)) {
+        if (this.subscriptions.has(uri)) {
+          this.notify('notifications/resources/updated', { uri });
+        }
+      }
+      this.notify('notifications/resources/list_changed');
+    };
+
+    vectorStore.on('saved', onChange);
+    vectorStore.on('deleted', onChange);
+    this.resourceWatch = { vectorStore, onChange };
+  }
+
+  async handleResourcesList(params) {
+    await this.watchResources();
+    return listResources(params.cursor);
+  }
+
+  async handleSubscribe(params) {
+    if (typeof params.uri !== 'string') {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Resource uri is required');
+    }
+    await this.watchResources();
+    this.subscriptions.add(params.uri);
+    return {};
+  }
+
+  handleUnsubscribe(params) {
+    this.subscriptions.delete(params.uri);
+    return {};
+  }
+
+  async handleToolsList() {
+    const registry = await getToolRegistry();
+    return {
+      tools: registry.list().map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.input_schema,
+        ...(tool.output_schema && { outputSchema: tool.output_schema }),
+        ...(tool.annotations && { annotations: tool.annotations })
+      }))
+    };
+  }
+
+  async handleToolsCall(params, context) {
+    const { name, arguments: args = {} } = params;
+    const registry = await getToolRegistry();
+
+    if (!name || !registry.get(name)) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    try {
+      const result = await registry.execute(name, args, {
+        ...context,
+        log: (level, data) => this.sendLog(level, name, data, context.sendNotification)
+      });
+      const structuredContent = toStructuredResult(result);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(structuredContent, null, 2) }],
+        structuredContent,
+        isError: false
+      };
+    } catch (error) {
+      // Invalid arguments are protocol errors carrying the validation details
+      if (error instanceof JsonRpcError) {
+        throw error;
+      }
+
+      // Tool failures are reported in the result so the model can see them
+      logger.error(`MCP tool execution error (${name}):`, error);
+      return {
+        content: [{ type: 'text', text: error.message }],
+        isError: true
+      };
+    }
+  }
+}
+
+export default MCPServer;
@@ -0,0 +1,43 @@
+import EmbeddingService from '../embeddingService.js';
+import { bambiSleepKB } from '../knowledgeBase/bambiSleepKB.js';
+
+// One embedding service per process: the MCP entry points and the HTTP routes share it, and with it the
+// vector store's lock. Concurrent first callers wait on the same initialization.
+let embeddingService = null;
+let readyService = null;
+
+export async function getEmbeddingService() {
+  if (!embeddingService) {
+    const service = new EmbeddingService();
+    embeddingService = service.initialize().then(() => {
+      readyService = service;
+      return service;
+    });
+    // A failed start is retried by the next caller
+    embeddingService.catch(() => {
+      embeddingService = null;
+    });
+  }
+  return embeddingService;
+}
+
+// The service once it has started, or null while it is starting or after it failed; never waits
+export function readyEmbeddingService() {
+  return readyService;
+}
+
+// Persist the service's lazily saved state (cache index, HNSW graph) if it was started
+export async function flushEmbeddingService() {
+  const service = await embeddingService?.catch(() => null);
+  if (service) {
+    await service.flush();
+  }
+}
+
+// Knowledge base singleton, initialized on first use
+export async function getKnowledgeBase() {
+  if (!bambiSleepKB.initialized) {
+    await bambiSleepKB.initialize();
+  }
+  return bambiSleepKB;
+}
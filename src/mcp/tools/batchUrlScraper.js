@@ -0,0 +1,66 @@
+import URLScraper from '../../../lib/scraper.js';
+
+export default {
+  name: 'batch_url_scraper',
+  description: 'Scrape multiple URLs in batch',
+  annotations: {
+    title: 'Scrape URLs in batch',
+    readOnlyHint: true,
+    destructiveHint: false,
+    openWorldHint: true
+  },
+  input_schema: {
+    type: 'object',
+    properties: {
+      urls: {
+        type: 'array',
+        items: { type: 'string', format: 'uri' },
+        minItems: 1,
+        maxItems: 50,
+        description: 'Array of URLs to scrape (max 50)'
+      },
+      options: {
+        type: 'object',
+        default: {},
+        properties: {
+          batchSize: { type: 'integer', minimum: 1, maximum: 10, default: 5 },
+          respectRobots: { type: 'boolean', default: true }
+        }
+      }
+    },
+    required: ['urls']
+  },
+  output_schema: {
+    type: 'object',
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            url: { type: 'string' },
+            error: { type: 'string' }
+          },
+          required: ['success', 'url']
+        }
+      }
+    },
+    required: ['results']
+  },
+
+  // A cancelled request gets no response, so each finished page is sent as a `partial_result`
+  // log notification while the batch runs; that is all a client that cancels receives
+  async handler(input, context) {
+    const scraper = new URLScraper(input.options);
+    const results = await scraper.scrapeBatch(input.urls, {
+      ...input.options,
+      signal: context.signal,
+      onProgress: ({ completed, total, index, url, result }) => {
+        context.sendProgress?.(completed, total, `Scraped ${url}`);
+        context.log?.('info', { type: 'partial_result', index, total, result });
+      }
+    });
+    return { results };
+  }
+};
@@ -0,0 +1,68 @@
+import { getEmbeddingService } from '../services.js';
+
+export default {
+  name: 'embedding_search',
+  description: 'Search for similar content using embeddings',
+  annotations: {
+    title: 'Semantic search',
+    readOnlyHint: true,
+    destructiveHint: false,
+    openWorldHint: false
+  },
+  input_schema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        minLength: 1,
+        description: 'Search query text'
+      },
+      options: {
+        type: 'object',
+        default: {},
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+          threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.7 }
+        }
+      }
+    },
+    required: ['query']
+  },
+  output_schema: {
+    type: 'object',
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            similarity: { type: 'number' },
+            metadata: { type: 'object' }
+          },
+          required: ['id', 'similarity']
+        }
+      }
+    },
+    required: ['results']
+  },
+
+  async handler(input) {
+    const service = await getEmbeddingService();
+    return await service.searchSimilar(input.query, input.options);
+  },
+
+  // What a chat model sees: the matched text, not the stored vectors
+  toModelResult(results) {
+    return {
+      results: results.map(result => ({
+        id: result.id,
+        source: result.metadata?.source,
+        title: result.metadata?.title,
+        headingPath: result.metadata?.headingPath,
+        text: result.embeddingData?.metadata?.cleanedContent || result.embeddingData?.metadata?.summary,
+        similarity: result.similarity
+      }))
+    };
+  }
+};
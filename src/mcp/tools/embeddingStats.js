@@ -0,0 +1,33 @@
+import { getEmbeddingService } from '../services.js';
+
+export default {
+  name: 'embedding_stats',
+  description: 'Get embedding service statistics',
+  annotations: {
+    title: 'Embedding statistics',
+    readOnlyHint: true,
+    destructiveHint: false,
+    openWorldHint: false
+  },
+  input_schema: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+  output_schema: {
+    type: 'object',
+    properties: {
+      vectorStore: { type: 'object' },
+      cache: { type: 'object' },
+      providers: { type: 'object' },
+      currentProvider: { type: 'string' },
+      config: { type: 'object' }
+    },
+    required: ['vectorStore', 'providers', 'currentProvider']
+  },
+
+  async handler() {
+    const service = await getEmbeddingService();
+    return await service.getStats();
+  }
+};
@@ -0,0 +1,40 @@
+import { getKnowledgeBase } from '../services.js';
+
+export default {
+  name: 'kb_export',
+  description: 'Export the whole knowledge base as JSON or as a plain-text summary',
+  annotations: {
+    title: 'Export knowledge base',
+    readOnlyHint: true,
+    destructiveHint: false,
+    openWorldHint: false
+  },
+  input_schema: {
+    type: 'object',
+    properties: {
+      format: {
+        type: 'string',
+        enum: ['json', 'summary'],
+        default: 'json',
+        description: 'json for the full data, summary for a readable digest'
+      }
+    },
+    required: []
+  },
+  output_schema: {
+    type: 'object',
+    properties: {
+      format: { type: 'string' },
+      content: { type: 'string' }
+    },
+    required: ['format', 'content']
+  },
+
+  async handler(input) {
+    const kb = await getKnowledgeBase();
+    return {
+      format: input.format,
+      content: kb.export(input.format)
+    };
+  }
+};
@@ -0,0 +1,43 @@
+import { getKnowledgeBase } from '../services.js';
+
+export default {
+  name: 'kb_get_section',
+  description: 'Get a knowledge base section with its metadata',
+  annotations: {
+    title: 'Get knowledge base section',
+    readOnlyHint: true,
+    destructiveHint: false,
+    openWorldHint: false
+  },
+  input_schema: {
+    type: 'object',
+    properties: {
+      section: {
+        type: 'string',
+        minLength: 1,
+        description: 'Section name (e.g. identity, triggers, files, sites)'
+      }
+    },
+    required: ['section']
+  },
+  output_schema: {
+    type: 'object',
+    properties: {
+      section: { type: 'string' },
+      data: { type: ['object', 'array'] },
+      metadata: { type: 'object' }
+    },
+    required: ['section', 'data']
+  },
+
+  async handler(input) {
+    const kb = await getKnowledgeBase();
+    const detailedSection = kb.getDetailedSection(input.section);
+
+    if (!detailedSection) {
+      throw new Error(`Section '${input.section}' not found. Available sections: ${Object.keys(kb.data).join(', ')}`);
+    }
+
+    return detailedSection;
+  }
+};
@@ -0,0 +1,35 @@
+import { getKnowledgeBase } from '../services.js';
+
+export default {
+  name: 'kb_overview',
+  description: 'Get an overview of the knowledge base: identity, description, primary goals, key triggers and main sites',
+  annotations: {
+    title: 'Knowledge base overview',
+    readOnlyHint: true,
+    destructiveHint: false,
+    openWorldHint: false
+  },
+  input_schema: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+  output_schema: {
+    type: 'object',
+    properties: {
+      identity: { type: 'object' },
+      summary: { type: 'object' },
+      sections: { type: 'array', items: { type: 'string' } },
+      lastUpdated: { type: 'string' }
+    },
+    required: ['identity', 'summary']
+  },
+
+  async handler() {
+    const kb = await getKnowledgeBase();
+    return {
+      ...kb.getOverview(),
+      sections: Object.keys(kb.data)
+    };
+  }
+};
@@ -0,0 +1,68 @@
+import { getKnowledgeBase } from '../services.js';
+
+export default {
+  name: 'kb_search',
+  description: 'Search the curated BambiSleep knowledge base for a term, optionally within one section',
+  annotations: {
+    title: 'Search knowledge base',
+    readOnlyHint: true,
+    destructiveHint: false,
+    openWorldHint: false
+  },
+  input_schema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        minLength: 1,
+        description: 'Term to search for'
+      },
+      section: {
+        type: 'string',
+        description: 'Limit results to this section (e.g. triggers, files, sites)'
+      },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 }
+    },
+    required: ['query']
+  },
+  output_schema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      section: { type: 'string' },
+      count: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'array' },
+            key: { type: 'string' },
+            value: { type: 'string' },
+            relevance: { type: 'number' }
+          },
+          required: ['path', 'value', 'relevance']
+        }
+      }
+    },
+    required: ['query', 'count', 'results']
+  },
+
+  async handler(input) {
+    const kb = await getKnowledgeBase();
+
+    // Filter by section before limiting so a section search still returns up to `limit` hits
+    let results = kb.search(input.query);
+    if (input.section) {
+      results = results.filter(result => result.path[0] === input.section);
+    }
+    results = results.slice(0, input.limit);
+
+    return {
+      query: input.query,
+      section: input.section || 'all',
+      count: results.length,
+      results
+    };
+  }
+};
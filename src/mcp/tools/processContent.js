@@ -0,0 +1,60 @@
+import { getEmbeddingService } from '../services.js';
+
+export default {
+  name: 'process_content',
+  description: 'Process scraped content and generate embeddings',
+  annotations: {
+    title: 'Process and embed content',
+    readOnlyHint: false,
+    destructiveHint: false,
+    openWorldHint: false
+  },
+  input_schema: {
+    type: 'object',
+    properties: {
+      content: {
+        type: 'object',
+        description: 'Scraped content object'
+      },
+      metadata: {
+        type: 'object',
+        default: {},
+        description: 'Metadata about the content'
+      }
+    },
+    required: ['content']
+  },
+  output_schema: {
+    type: 'object',
+    properties: {
+      processed: { type: 'object' },
+      embeddings: { type: 'array' },
+      skipped: { type: 'boolean' },
+      reason: { type: 'string' },
+      provider: { type: 'string' }
+    },
+    required: ['processed']
+  },
+
+  async handler(input, context) {
+    const service = await getEmbeddingService();
+    return await service.processContent(input.content, input.metadata, {
+      signal: context.signal,
+      onProgress: ({ completed, total }) => context.sendProgress?.(completed, total, `Embedded chunk ${completed}/${total}`)
+    });
+  },
+
+  // What a chat model sees: the outcome per page, not every chunk's vector
+  toModelResult(result) {
+    return {
+      source: result.storageKey ?? result.processed?.source,
+      skipped: !!result.skipped,
+      reason: result.reason,
+      chunks: result.embeddings?.length ?? 0,
+      provider: result.provider,
+      mismatched: result.mismatched,
+      relevanceScore: result.analysis?.relevanceScore ?? result.processed?.processed?.relevanceScore,
+      summary: result.analysis?.summary
+    };
+  }
+};
@@ -0,0 +1,50 @@
+import URLScraper from '../../../lib/scraper.js';
+
+export default {
+  name: 'url_scraper',
+  description: 'Scrape content from URLs while respecting robots.txt',
+  annotations: {
+    title: 'Scrape URL',
+    readOnlyHint: true,
+    destructiveHint: false,
+    openWorldHint: true
+  },
+  input_schema: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        format: 'uri',
+        description: 'The URL to scrape'
+      },
+      options: {
+        type: 'object',
+        default: {},
+        properties: {
+          respectRobots: { type: 'boolean', default: true },
+          timeout: { type: 'number', minimum: 1000, maximum: 120000, default: 30000 },
+          maxRetries: { type: 'integer', minimum: 1, maximum: 10, default: 3 }
+        }
+      }
+    },
+    required: ['url']
+  },
+  output_schema: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      url: { type: 'string' },
+      statusCode: { type: 'integer' },
+      contentType: { type: 'string' },
+      content: { type: 'object' },
+      error: { type: 'string' },
+      metadata: { type: 'object' }
+    },
+    required: ['success', 'url']
+  },
+
+  async handler(input) {
+    const scraper = new URLScraper(input.options);
+    return await scraper.scrapeUrl(input.url, input.options);
+  }
+};
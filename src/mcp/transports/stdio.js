@@ -0,0 +1,39 @@
+// stdio transport: newline-delimited JSON-RPC messages over stdin/stdout
+import readline from 'readline';
+import logger from '../../utils/logger.js';
+
+export class StdioTransport {
+  constructor(input = process.stdin, output = process.stdout) {
+    this.input = input;
+    this.output = output;
+    this.reader = null;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  start() {
+    this.reader = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+
+    this.reader.on('line', line => {
+      if (!line.trim()) return;
+      Promise.resolve(this.onmessage?.(line)).catch(error => {
+        logger.error('stdio transport message handling failed:', error);
+      });
+    });
+
+    this.reader.on('close', () => {
+      this.onclose?.();
+    });
+  }
+
+  send(message) {
+    // Messages must not contain embedded newlines, so never pretty-print here
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+
+  close() {
+    this.reader?.close();
+  }
+}
+
+export default StdioTransport;
@@ -0,0 +1,262 @@
+// Streamable HTTP transport: one endpoint accepting POSTed JSON-RPC, answering with JSON or an SSE stream,
+// plus a GET SSE stream for server notifications and DELETE to end the session
+import crypto from 'crypto';
+import logger from '../../utils/logger.js';
+import { getConfig } from '../../utils/config.js';
+import MCPServer, { SUPPORTED_PROTOCOL_VERSIONS } from '../server.js';
+import { JsonRpcError, ErrorCodes } from '../errors.js';
+
+const SESSION_HEADER = 'mcp-session-id';
+const PROTOCOL_VERSION_HEADER = 'mcp-protocol-version';
+
+function acceptsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+}
+
+function writeEvent(res, message) {
+  if (res.writableEnded) return;
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function sendRpcError(res, status, code, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    id: null,
+    error: new JsonRpcError(code, message).toJSON()
+  });
+}
+
+// Compare origins in their serialized form, so 'http://localhost:3000/' matches 'http://localhost:3000'
+function normalizeOrigin(origin) {
+  try {
+    return new URL(origin).origin;
+  } catch (error) {
+    return origin;
+  }
+}
+
+// Session-bound transport: server notifications go to any open GET streams
+class SessionTransport {
+  constructor() {
+    this.streams = new Set();
+  }
+
+  send(message) {
+    for (const res of this.streams) {
+      writeEvent(res, message);
+    }
+  }
+
+  close() {
+    for (const res of this.streams) {
+      res.end();
+    }
+    this.streams.clear();
+  }
+}
+
+export class StreamableHttpTransport {
+  constructor(options = {}) {
+    this.options = options;
+    this.settings = null;
+    this.sessions = new Map();
+    this.sessionTimeout = options.sessionTimeout || 30 * 60 * 1000;
+
+    // Expire idle sessions; unref so the timer never keeps the process alive
+    this.cleanupTimer = setInterval(() => this.expireSessions(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  // The Origin allow-list and session cap come from `mcp.http` unless passed to the constructor
+  async loadSettings() {
+    if (!this.settings) {
+      const config = await getConfig();
+      const httpConfig = config.mcp?.http || {};
+      this.settings = {
+        allowedOrigins: (this.options.allowedOrigins ?? httpConfig.allowedOrigins ?? []).map(normalizeOrigin),
+        maxSessions: this.options.maxSessions ?? httpConfig.maxSessions ?? 100
+      };
+    }
+    return this.settings;
+  }
+
+  // Browsers always send Origin, so rejecting unlisted ones stops DNS rebinding attacks on a local server.
+  // Requests without Origin come from non-browser clients and are let through.
+  async checkOrigin(req, res) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+
+    const { allowedOrigins } = await this.loadSettings();
+    if (allowedOrigins.includes(normalizeOrigin(origin))) return true;
+
+    logger.warn('MCP HTTP request from a disallowed origin rejected', { origin });
+    sendRpcError(res, 403, ErrorCodes.INVALID_REQUEST, `Origin not allowed: ${origin}`);
+    return false;
+  }
+
+  createSession() {
+    const id = crypto.randomUUID();
+    const server = new MCPServer();
+    const transport = new SessionTransport();
+
+    server.connect(transport);
+
+    const session = { id, server, transport, lastActivity: Date.now() };
+    this.sessions.set(id, session);
+    logger.info('MCP HTTP session created', { sessionId: id });
+    return session;
+  }
+
+  closeSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+
+    session.server.close();
+    session.transport.close();
+    this.sessions.delete(id);
+    logger.info('MCP HTTP session closed', { sessionId: id });
+    return true;
+  }
+
+  expireSessions() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.transport.streams.size === 0 && now - session.lastActivity > this.sessionTimeout) {
+        this.closeSession(id);
+      }
+    }
+  }
+
+  // Resolve the session for a request, writing the error response if it is missing or unknown
+  resolveSession(req, res) {
+    const sessionId = req.headers[SESSION_HEADER];
+
+    if (!sessionId) {
+      sendRpcError(res, 400, ErrorCodes.INVALID_REQUEST, 'Missing Mcp-Session-Id header');
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      sendRpcError(res, 404, ErrorCodes.INVALID_REQUEST, 'Session not found');
+      return null;
+    }
+
+    const protocolVersion = req.headers[PROTOCOL_VERSION_HEADER];
+    if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      sendRpcError(res, 400, ErrorCodes.INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`);
+      return null;
+    }
+
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  async handlePost(req, res) {
+    if (!await this.checkOrigin(req, res)) return;
+
+    const payload = req.body;
+
+    if (payload === undefined || payload === null || typeof payload !== 'object') {
+      return sendRpcError(res, 400, ErrorCodes.PARSE_ERROR, 'Parse error');
+    }
+
+    const messages = Array.isArray(payload) ? payload : [payload];
+    const isInitialize = messages.some(message => message?.method === 'initialize');
+
+    let session;
+    if (isInitialize) {
+      if (messages.length > 1) {
+        return sendRpcError(res, 400, ErrorCodes.INVALID_REQUEST, 'initialize must not be batched');
+      }
+      const { maxSessions } = await this.loadSettings();
+      if (this.sessions.size >= maxSessions) {
+        this.expireSessions();
+      }
+      if (this.sessions.size >= maxSessions) {
+        logger.warn('MCP HTTP session limit reached', { maxSessions });
+        return sendRpcError(res, 503, ErrorCodes.INTERNAL_ERROR, 'Too many active MCP sessions, try again later');
+      }
+      session = this.createSession();
+      res.setHeader('Mcp-Session-Id', session.id);
+    } else {
+      session = this.resolveSession(req, res);
+      if (!session) return;
+    }
+
+    const hasRequests = messages.some(message => message && typeof message.method === 'string' && 'id' in message);
+
+    // Notifications and client responses only: acknowledge without a body
+    if (!hasRequests) {
+      await session.server.handle(payload);
+      return res.status(202).end();
+    }
+
+    if (!acceptsEventStream(req)) {
+      const response = await session.server.handle(payload);
+      return res.json(response);
+    }
+
+    // Stream request-scoped notifications (e.g. partial tool results) ahead of the final response
+    openEventStream(res);
+
+    // A client that drops the stream cancels the requests it carried
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) disconnect.abort();
+    });
+
+    const response = await session.server.handle(payload, {
+      sendNotification: (method, params) => writeEvent(res, { jsonrpc: '2.0', method, params }),
+      signal: disconnect.signal
+    });
+
+    if (response !== null) {
+      writeEvent(res, response);
+    }
+    res.end();
+  }
+
+  async handleGet(req, res) {
+    if (!await this.checkOrigin(req, res)) return;
+
+    if (!acceptsEventStream(req)) {
+      return res.status(405).set('Allow', 'POST, DELETE').json({ error: 'GET requires Accept: text/event-stream' });
+    }
+
+    const session = this.resolveSession(req, res);
+    if (!session) return;
+
+    openEventStream(res);
+    session.transport.streams.add(res);
+
+    // Comment lines keep idle proxies from closing the stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      session.transport.streams.delete(res);
+      session.lastActivity = Date.now();
+    });
+  }
+
+  async handleDelete(req, res) {
+    if (!await this.checkOrigin(req, res)) return;
+
+    const session = this.resolveSession(req, res);
+    if (!session) return;
+
+    this.closeSession(session.id);
+    res.status(204).end();
+  }
+}
+
+export default StreamableHttpTransport;
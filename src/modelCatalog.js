@@ -0,0 +1,76 @@
+// Model listing for the OpenAI-compatible `GET /v1/models`: chat models proxied from LM Studio
+// plus the configured embedding providers
+import logger from './utils/logger.js';
+import { createProvider } from './embeddings/generator.js';
+
+// OpenAI model objects require `created`; configured models have no real creation time
+const startedAt = Math.floor(Date.now() / 1000);
+
+// Embedding models come from the configured providers, so listing works while the embedding service is
+// still starting or after it failed to. Availability and circuit state are added once it is running.
+async function embeddingModels(providerConfigs, generator) {
+  const configured = providerConfigs
+    .filter(providerConfig => providerConfig.enabled !== false)
+    .map(providerConfig => generator?.providers.find(provider => provider.name === providerConfig.name) ?? createProvider(providerConfig))
+    .filter(Boolean)
+    .sort((a, b) => a.priority - b.priority);
+
+  return Promise.all(configured.map(async provider => {
+    const model = {
+      id: provider.model,
+      object: 'model',
+      created: startedAt,
+      owned_by: provider.name,
+      type: 'embedding',
+      dimensions: provider.config.dimensions ?? null,
+      priority: provider.priority
+    };
+
+    const health = generator?.health.get(provider.name);
+    if (!health) return model;
+
+    let available = false;
+    try {
+      available = await provider.isAvailable();
+    } catch (error) {
+      logger.warn(`Provider ${provider.name} availability check failed:`, error.message);
+    }
+    return { ...model, available, circuit: health.state };
+  }));
+}
+
+// Upstream models are returned as listed; when LM Studio is unreachable the configured chat model
+// is still listed, marked unavailable
+async function chatModels(client, chatConfig) {
+  try {
+    const models = await client.listModels();
+    return models.map(model => ({
+      created: startedAt,
+      owned_by: 'lmstudio',
+      ...model,
+      object: 'model',
+      type: model.type || (/embed/i.test(model.id) ? 'embedding' : 'chat'),
+      available: true
+    }));
+  } catch (error) {
+    logger.warn('Could not list upstream chat models:', error.message);
+    if (!chatConfig.model) return [];
+    return [{
+      id: chatConfig.model,
+      object: 'model',
+      created: startedAt,
+      owned_by: 'lmstudio',
+      type: 'chat',
+      available: false
+    }];
+  }
+}
+
+// `generator` is the running embedding generator, or null when the embedding service is not ready
+export async function listModels({ client, chatConfig = {}, providerConfigs = [], generator = null }) {
+  const [chat, embedding] = await Promise.all([chatModels(client, chatConfig), embeddingModels(providerConfigs, generator)]);
+
+  // LM Studio also lists loaded embedding models; describe those with the provider details instead
+  const embeddingIds = new Set(embedding.map(model => model.id));
+  return [...chat.filter(model => !embeddingIds.has(model.id)), ...embedding];
+}
@@ -0,0 +1,208 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { getConfig } from '../utils/config.js';
+
+export const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+// Keep only the OpenAI message fields worth persisting
+function storedMessage(message) {
+  const stored = { role: message.role, content: message.content ?? null };
+  if (message.name) stored.name = message.name;
+  if (message.tool_calls) stored.tool_calls = message.tool_calls;
+  if (message.tool_call_id) stored.tool_call_id = message.tool_call_id;
+  if (message.citations) stored.citations = message.citations;
+  stored.createdAt = message.createdAt || new Date().toISOString();
+  return stored;
+}
+
+export function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'messages must be a non-empty array';
+  }
+
+  for (const [i, message] of messages.entries()) {
+    if (!message || !MESSAGE_ROLES.includes(message.role)) {
+      return `messages[${i}].role must be one of: ${MESSAGE_ROLES.join(', ')}`;
+    }
+    const hasContent = typeof message.content === 'string' || Array.isArray(message.content);
+    if (!hasContent && !(message.role === 'assistant' && message.tool_calls)) {
+      return `messages[${i}].content must be a string or an array of content parts`;
+    }
+  }
+
+  return null;
+}
+
+// Chat conversations stored as one JSON file each, with an index for listing.
+// Older messages can be folded into `summary`; `summarizedCount` is how many leading messages it covers.
+export class ConversationStore {
+  constructor(storePath = './data/conversations') {
+    this.storePath = storePath;
+    this.indexPath = path.join(storePath, 'index.json');
+    this.index = {};
+    this.initialized = false;
+    // Per-conversation write queues so concurrent appends do not overwrite each other
+    this.queues = new Map();
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await fs.mkdir(this.storePath, { recursive: true });
+
+    try {
+      this.index = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+      logger.info(`Loaded conversation index with ${Object.keys(this.index).length} conversations`);
+    } catch (error) {
+      this.index = {};
+    }
+
+    this.initialized = true;
+  }
+
+  generateId() {
+    return `conv_${crypto.randomUUID().replace(/-/g, '').substring(0, 16)}`;
+  }
+
+  filePath(id) {
+    return path.join(this.storePath, `${id}.json`);
+  }
+
+  // Ids are used as file names, so only accept the shape we generate
+  isValidId(id) {
+    return typeof id === 'string' && /^conv_[a-f0-9]{16}$/.test(id);
+  }
+
+  // The index is shared by all conversations, so its writes go through a queue of their own
+  async saveIndex() {
+    return this.enqueue('index', () => fs.writeFile(this.indexPath, JSON.stringify(this.index, null, 2)));
+  }
+
+  async write(conversation) {
+    await fs.writeFile(this.filePath(conversation.id), JSON.stringify(conversation, null, 2));
+
+    this.index[conversation.id] = {
+      id: conversation.id,
+      title: conversation.title,
+      messageCount: conversation.messages.length,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt
+    };
+    await this.saveIndex();
+  }
+
+  // Run an update for one conversation after any update already in flight for it
+  enqueue(id, task) {
+    const previous = this.queues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(id, next);
+    next.finally(() => {
+      if (this.queues.get(id) === next) this.queues.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+
+  async create({ title, messages = [], metadata = {} } = {}) {
+    await this.initialize();
+
+    const now = new Date().toISOString();
+    const conversation = {
+      id: this.generateId(),
+      title: title || 'New conversation',
+      createdAt: now,
+      updatedAt: now,
+      metadata,
+      summary: null,
+      summarizedCount: 0,
+      messages: messages.map(storedMessage)
+    };
+
+    await this.write(conversation);
+    logger.info(`Created conversation ${conversation.id}`);
+    return conversation;
+  }
+
+  async list() {
+    await this.initialize();
+    return Object.values(this.index).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async get(id) {
+    await this.initialize();
+    if (!this.isValidId(id) || !this.index[id]) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      logger.warn(`Failed to read conversation ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  async delete(id) {
+    await this.initialize();
+    if (!this.isValidId(id) || !this.index[id]) return false;
+
+    return this.enqueue(id, async () => {
+      await fs.rm(this.filePath(id), { force: true });
+      delete this.index[id];
+      await this.saveIndex();
+      logger.info(`Deleted conversation ${id}`);
+      return true;
+    });
+  }
+
+  // Apply `update(conversation)` and persist it; resolves to the updated conversation or null if missing
+  async update(id, update) {
+    await this.initialize();
+    if (!this.isValidId(id) || !this.index[id]) return null;
+
+    return this.enqueue(id, async () => {
+      const conversation = await this.get(id);
+      if (!conversation) return null;
+
+      update(conversation);
+      conversation.updatedAt = new Date().toISOString();
+      await this.write(conversation);
+      return conversation;
+    });
+  }
+
+  async appendMessages(id, messages) {
+    return this.update(id, conversation => {
+      conversation.messages.push(...messages.map(storedMessage));
+    });
+  }
+
+  async setSummary(id, summary, summarizedCount) {
+    return this.update(id, conversation => {
+      conversation.summary = summary;
+      conversation.summarizedCount = summarizedCount;
+    });
+  }
+}
+
+let storePromise = null;
+
+// Shared store, placed next to the vector store unless configured otherwise
+export function getConversationStore() {
+  if (!storePromise) {
+    storePromise = (async () => {
+      const config = await getConfig();
+      const vectorStorePath = config.storage?.vectorStore?.path || './data/embeddings';
+      const storePath = config.storage?.conversations?.path || path.join(path.dirname(vectorStorePath), 'conversations');
+
+      const store = new ConversationStore(storePath);
+      await store.initialize();
+      return store;
+    })().catch(error => {
+      storePromise = null;
+      throw error;
+    });
+  }
+  return storePromise;
+}
+
+export default ConversationStore;
@@ -24,6 +24,7 @@ export async function exportForLMStudio(vectorStore, outputPath) {
           embedding: embeddingData.embedding,
           metadata: {
             provider: embeddingData.provider,
+            model: embeddingData.model,
             dimensions: embeddingData.dimensions,
             relevanceScore: embeddingData.metadata.relevanceScore,
             wordCount: embeddingData.metadata.wordCount,
@@ -88,6 +89,7 @@ export async function importFromJSON(vectorStore, filePath) {
         const embeddingData = {
           embedding: item.embedding,
           provider: item.metadata?.provider || 'imported',
+          model: item.metadata?.model,
           dimensions: item.metadata?.dimensions || item.embedding.length
         };
 
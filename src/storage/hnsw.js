@@ -0,0 +1,359 @@
+// In-memory HNSW (hierarchical navigable small world) index for cosine similarity.
+// Vectors are normalized on insert, so similarity is a dot product and distance is 1 - similarity.
+// Deletes only mark nodes; they still route searches but are never returned. Rebuilding is left to the
+// owner (see needsRebuild), since building a large graph takes far too long to do inside a write.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+// Binary heap ordered by `compare`
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let next = i;
+        if (left < items.length && this.compare(items[left], items[next]) < 0) next = left;
+        if (right < items.length && this.compare(items[right], items[next]) < 0) next = right;
+        if (next === i) break;
+        [items[i], items[next]] = [items[next], items[i]];
+        i = next;
+      }
+    }
+    return top;
+  }
+}
+
+const nearestFirst = (a, b) => a.distance - b.distance;
+const farthestFirst = (a, b) => b.distance - a.distance;
+
+function normalized(vector) {
+  const result = Float32Array.from(vector);
+  let magnitude = 0;
+  for (let i = 0; i < result.length; i++) magnitude += result[i] * result[i];
+  magnitude = Math.sqrt(magnitude);
+  if (magnitude > 0) {
+    for (let i = 0; i < result.length; i++) result[i] /= magnitude;
+  }
+  return result;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+export class HnswIndex {
+  constructor(options = {}) {
+    this.dimensions = options.dimensions;
+    this.M = options.M ?? 16;
+    this.efConstruction = options.efConstruction ?? 100;
+    this.efSearch = options.efSearch ?? 64;
+    // needsRebuild() once this share of nodes is deleted
+    this.maxDeletedRatio = options.maxDeletedRatio ?? 0.25;
+    this.levelMultiplier = 1 / Math.log(this.M);
+
+    this.nodes = [];
+    this.nodeById = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deleted = 0;
+    // Visit marks for searchLayer: a node is visited when its mark equals the current search's number
+    this.visitMarks = new Uint32Array(1024);
+    this.visitNumber = 0;
+    // Saves run one at a time so two of them never share temp files
+    this.saving = Promise.resolve();
+  }
+
+  get size() {
+    return this.nodes.length - this.deleted;
+  }
+
+  has(id) {
+    return this.nodeById.has(id);
+  }
+
+  maxNeighbors(level) {
+    return level === 0 ? this.M * 2 : this.M;
+  }
+
+  distance(query, node) {
+    return 1 - dot(query, this.nodes[node].vector);
+  }
+
+  // Best-first search of one layer; returns up to `ef` nodes, nearest first
+  searchLayer(query, entryPoints, ef, level) {
+    if (this.visitMarks.length < this.nodes.length) {
+      this.visitMarks = new Uint32Array(this.nodes.length * 2);
+      this.visitNumber = 0;
+    }
+    if (++this.visitNumber === 0xffffffff) {
+      this.visitMarks.fill(0);
+      this.visitNumber = 1;
+    }
+    const marks = this.visitMarks;
+    const visit = this.visitNumber;
+    for (const node of entryPoints) marks[node] = visit;
+
+    const candidates = new Heap(nearestFirst);
+    const found = new Heap(farthestFirst);
+
+    for (const node of entryPoints) {
+      const item = { node, distance: this.distance(query, node) };
+      candidates.push(item);
+      found.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (found.size >= ef && current.distance > found.peek().distance) break;
+
+      for (const neighbor of this.nodes[current.node].neighbors[level] || []) {
+        if (marks[neighbor] === visit) continue;
+        marks[neighbor] = visit;
+
+        const distance = this.distance(query, neighbor);
+        if (found.size < ef || distance < found.peek().distance) {
+          const item = { node: neighbor, distance };
+          candidates.push(item);
+          found.push(item);
+          if (found.size > ef) found.pop();
+        }
+      }
+    }
+
+    return found.items.sort(nearestFirst);
+  }
+
+  // Neighbor selection heuristic from the HNSW paper: keep a candidate only if it is closer to the
+  // new node than to any neighbor already kept, which preserves links between clusters
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      const vector = this.nodes[candidate.node].vector;
+      if (selected.every(kept => 1 - dot(vector, this.nodes[kept.node].vector) > candidate.distance)) {
+        selected.push(candidate);
+      }
+    }
+
+    // Top up with the nearest skipped candidates so sparse regions stay connected
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      if (!selected.includes(candidate)) selected.push(candidate);
+    }
+    return selected.map(candidate => candidate.node);
+  }
+
+  add(id, vector) {
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector has ${vector.length} dimensions, index expects ${this.dimensions}`);
+    }
+    if (this.nodeById.has(id)) this.remove(id);
+
+    const query = normalized(vector);
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+    const node = this.nodes.length;
+    this.nodes.push({ id, vector: query, level, neighbors: Array.from({ length: level + 1 }, () => []), deleted: false });
+    this.nodeById.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entryPoints = [this.entryPoint];
+    for (let l = this.maxLevel; l > level; l--) {
+      entryPoints = [this.searchLayer(query, entryPoints, 1, l)[0].node];
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(query, entryPoints, this.efConstruction, l);
+      const neighbors = this.selectNeighbors(candidates, this.M);
+      this.nodes[node].neighbors[l] = neighbors;
+
+      for (const neighbor of neighbors) {
+        const links = this.nodes[neighbor].neighbors[l];
+        links.push(node);
+        if (links.length > this.maxNeighbors(l)) {
+          const neighborVector = this.nodes[neighbor].vector;
+          const ranked = links
+            .map(link => ({ node: link, distance: 1 - dot(neighborVector, this.nodes[link].vector) }))
+            .sort(nearestFirst);
+          this.nodes[neighbor].neighbors[l] = this.selectNeighbors(ranked, this.maxNeighbors(l));
+        }
+      }
+      entryPoints = candidates.map(candidate => candidate.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  remove(id) {
+    const node = this.nodeById.get(id);
+    if (node === undefined) return false;
+
+    this.nodes[node].deleted = true;
+    this.nodeById.delete(id);
+    this.deleted++;
+
+    if (this.size === 0) {
+      this.clear();
+    }
+    return true;
+  }
+
+  // Deleted nodes still cost memory and search time; past `maxDeletedRatio` the graph should be rebuilt
+  needsRebuild() {
+    return this.nodes.length > 0 && this.deleted / this.nodes.length > this.maxDeletedRatio;
+  }
+
+  clear() {
+    this.nodes = [];
+    this.nodeById = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deleted = 0;
+  }
+
+  // Approximate top-k by cosine similarity: `[{ id, similarity }]`, most similar first.
+  // Deleted nodes take up places in the search beam, so it widens until k live nodes are found
+  // or the whole reachable graph has been searched.
+  search(vector, k = 10, ef = this.efSearch) {
+    if (this.entryPoint === -1 || k <= 0) return [];
+
+    const query = normalized(vector);
+    let entryPoint = this.entryPoint;
+    for (let l = this.maxLevel; l > 0; l--) {
+      entryPoint = this.searchLayer(query, [entryPoint], 1, l)[0].node;
+    }
+
+    for (let width = Math.max(ef, k); ; width *= 2) {
+      const found = this.searchLayer(query, [entryPoint], width, 0);
+      const live = found.filter(({ node }) => !this.nodes[node].deleted);
+      if (live.length >= k || found.length < width || width >= this.nodes.length) {
+        return live
+          .slice(0, k)
+          .map(({ node, distance }) => ({ id: this.nodes[node].id, similarity: 1 - distance }));
+      }
+    }
+  }
+
+  // Exact top-k over every live vector
+  exactSearch(vector, k = 10) {
+    const query = normalized(vector);
+    return this.nodes
+      .filter(node => !node.deleted)
+      .map(node => ({ id: node.id, similarity: dot(query, node.vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k);
+  }
+
+  // The graph goes to `<basePath>.json` and the vectors, packed as float32 in node order, to `<basePath>.bin`.
+  // `meta` is stored alongside for the owner to check the saved graph against its data. Each file is
+  // written to a temp path and renamed into place; the graph records a checksum of the vectors, so a
+  // crash between the two renames leaves a pair that load() rejects.
+  save(basePath, meta = {}) {
+    const vectors = new Float32Array(this.nodes.length * this.dimensions);
+    this.nodes.forEach((node, i) => vectors.set(node.vector, i * this.dimensions));
+    const buffer = Buffer.from(vectors.buffer);
+
+    const graph = JSON.stringify({
+      meta,
+      checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: this.nodes.map(node => ({
+        id: node.id,
+        level: node.level,
+        neighbors: node.neighbors,
+        ...(node.deleted ? { deleted: true } : {})
+      }))
+    });
+
+    const save = this.saving.then(async () => {
+      await fs.writeFile(`${basePath}.bin.tmp`, buffer);
+      await fs.writeFile(`${basePath}.json.tmp`, graph);
+      await fs.rename(`${basePath}.bin.tmp`, `${basePath}.bin`);
+      await fs.rename(`${basePath}.json.tmp`, `${basePath}.json`);
+    });
+    this.saving = save.catch(() => {});
+    return save;
+  }
+
+  // Resolves to `{ index, meta }`, or null when nothing usable is saved
+  static async load(basePath, options = {}) {
+    let meta;
+    let buffer;
+    try {
+      meta = JSON.parse(await fs.readFile(`${basePath}.json`, 'utf8'));
+      buffer = await fs.readFile(`${basePath}.bin`);
+    } catch (error) {
+      return null;
+    }
+
+    if (meta.dimensions !== options.dimensions || meta.M !== (options.M ?? 16) ||
+        buffer.length !== meta.nodes.length * meta.dimensions * 4 ||
+        meta.checksum !== crypto.createHash('sha256').update(buffer).digest('hex')) {
+      return null;
+    }
+
+    const vectors = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+    const index = new HnswIndex({ ...options, efConstruction: meta.efConstruction });
+    index.entryPoint = meta.entryPoint;
+    index.maxLevel = meta.maxLevel;
+    index.nodes = meta.nodes.map((node, i) => ({
+      id: node.id,
+      vector: vectors.slice(i * meta.dimensions, (i + 1) * meta.dimensions),
+      level: node.level,
+      neighbors: node.neighbors,
+      deleted: !!node.deleted
+    }));
+    index.nodes.forEach((node, i) => {
+      if (node.deleted) index.deleted++;
+      else index.nodeById.set(node.id, i);
+    });
+
+    return { index, meta: meta.meta || {} };
+  }
+}
+
+export default HnswIndex;
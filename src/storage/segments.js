@@ -0,0 +1,486 @@
+// Append-only segment storage for the vector store.
+//
+// segments/seg-<n>.bin  records of [vector bytes][metadata bytes], appended and never rewritten in place
+// segments.log          one JSON line per write: { op: 'put', entry, location } or { op: 'del', id }
+// segments.lock         held by the process writing the store: { pid, createdAt }
+//
+// Vectors are packed as float32, or quantized to float16 / int8 (per-vector scale). Metadata is JSON,
+// deflated when compression is on. Overwrites and deletes leave dead bytes behind; compaction copies the
+// live records into fresh segments and swaps in a rewritten log.
+import fs from 'fs/promises';
+import { rmSync } from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import logger from '../utils/logger.js';
+
+const deflate = promisify(zlib.deflateRaw);
+const inflate = promisify(zlib.inflateRaw);
+
+export const VECTOR_ENCODINGS = ['float32', 'float16', 'int8'];
+
+// A lock file nobody could read yet may still be being written by the process creating it
+const LOCK_GRACE_MS = 10000;
+
+// Thrown by writes to a store another process holds the lock for
+export class StoreLockedError extends Error {
+  constructor(lockPath, holder) {
+    super(
+      `Vector store is locked by ${holder?.pid ? `process ${holder.pid}` : 'another process'} and was opened read-only. ` +
+      `Stop that process, or delete ${lockPath} if no other process uses the store.`
+    );
+    this.name = 'StoreLockedError';
+    this.code = 'store_locked';
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// IEEE 754 half precision, round to nearest
+function toHalf(value) {
+  const floatView = new Float32Array([value]);
+  const bits = new Uint32Array(floatView.buffer)[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  const mantissa = bits & 0x7fffff;
+
+  if (exponent >= 0x1f) return sign | 0x7c00;
+  if (exponent <= 0) {
+    if (exponent < -10) return sign;
+    const subnormal = (mantissa | 0x800000) >> (1 - exponent);
+    return sign | ((subnormal + 0x1000) >> 13);
+  }
+  return sign | ((exponent << 10) + ((mantissa + 0x1000) >> 13));
+}
+
+function fromHalf(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+export function encodeVector(vector, encoding) {
+  if (encoding === 'float16') {
+    const buffer = Buffer.alloc(vector.length * 2);
+    vector.forEach((value, i) => buffer.writeUInt16LE(toHalf(value), i * 2));
+    return buffer;
+  }
+
+  if (encoding === 'int8') {
+    const scale = vector.reduce((max, value) => Math.max(max, Math.abs(value)), 0) / 127 || 1;
+    const buffer = Buffer.alloc(4 + vector.length);
+    buffer.writeFloatLE(scale, 0);
+    vector.forEach((value, i) => buffer.writeInt8(Math.round(value / scale), 4 + i));
+    return buffer;
+  }
+
+  const buffer = Buffer.alloc(vector.length * 4);
+  vector.forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+  return buffer;
+}
+
+export function decodeVector(buffer, encoding, dimensions) {
+  const vector = new Array(dimensions);
+
+  if (encoding === 'float16') {
+    for (let i = 0; i < dimensions; i++) vector[i] = fromHalf(buffer.readUInt16LE(i * 2));
+  } else if (encoding === 'int8') {
+    const scale = buffer.readFloatLE(0);
+    for (let i = 0; i < dimensions; i++) vector[i] = buffer.readInt8(4 + i) * scale;
+  } else {
+    for (let i = 0; i < dimensions; i++) vector[i] = buffer.readFloatLE(i * 4);
+  }
+  return vector;
+}
+
+export class SegmentStore {
+  constructor(storePath, options = {}) {
+    this.segmentsPath = path.join(storePath, 'segments');
+    this.logPath = path.join(storePath, 'segments.log');
+    this.lockPath = path.join(storePath, 'segments.lock');
+    this.compression = options.compression !== false;
+    this.encoding = options.vectorEncoding || 'float32';
+    this.maxSegmentBytes = options.maxSegmentBytes ?? 64 * 1024 * 1024;
+    // Compact once this share of segment bytes is dead
+    this.compactRatio = options.compactRatio ?? 0.5;
+    this.minCompactBytes = options.minCompactBytes ?? 1024 * 1024;
+
+    if (!VECTOR_ENCODINGS.includes(this.encoding)) {
+      throw new Error(`Unknown vector encoding: ${this.encoding}. Use one of: ${VECTOR_ENCODINGS.join(', ')}`);
+    }
+
+    this.entries = new Map();
+    this.locations = new Map();
+    this.segmentSizes = new Map();
+    this.activeSegment = 0;
+    this.deadBytes = 0;
+    this.queue = Promise.resolve();
+    this.readOnly = false;
+    this.lockHolder = null;
+    this.releaseOnExit = null;
+  }
+
+  segmentPath(segment) {
+    return path.join(this.segmentsPath, `seg-${String(segment).padStart(6, '0')}.bin`);
+  }
+
+  // Writes run one at a time so appended offsets and log lines stay in step
+  enqueue(task) {
+    const next = this.queue.catch(() => {}).then(task);
+    this.queue = next;
+    return next;
+  }
+
+  async exists() {
+    try {
+      await fs.access(this.logPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Take the store's lock file so no other process appends to the same segments. A lock left by a
+   * process that is no longer running is taken over; if a live process holds it, the store opens
+   * read-only and writes throw StoreLockedError.
+   */
+  async acquireLock() {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        try {
+          await handle.writeFile(JSON.stringify({ pid: process.pid, createdAt: new Date().toISOString() }));
+        } finally {
+          await handle.close();
+        }
+        this.releaseOnExit = () => rmSync(this.lockPath, { force: true });
+        process.once('exit', this.releaseOnExit);
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      let holder = null;
+      try {
+        holder = JSON.parse(await fs.readFile(this.lockPath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        const { mtimeMs } = await fs.stat(this.lockPath).catch(() => ({ mtimeMs: 0 }));
+        if (Date.now() - mtimeMs < LOCK_GRACE_MS) {
+          this.lockHolder = {};
+          return false;
+        }
+      }
+
+      if (holder?.pid && (holder.pid === process.pid || isRunning(holder.pid))) {
+        this.lockHolder = holder;
+        return false;
+      }
+
+      logger.warn(`Taking over stale vector store lock${holder?.pid ? ` from process ${holder.pid}` : ''}`);
+      await fs.rm(this.lockPath, { force: true });
+    }
+
+    this.lockHolder = {};
+    return false;
+  }
+
+  async close() {
+    await this.queue.catch(() => {});
+    if (this.releaseOnExit) {
+      process.removeListener('exit', this.releaseOnExit);
+      this.releaseOnExit = null;
+      await fs.rm(this.lockPath, { force: true });
+    }
+  }
+
+  assertWritable() {
+    if (this.readOnly) throw new StoreLockedError(this.lockPath, this.lockHolder);
+  }
+
+  // Replay the log; resolves to a Map of id -> index entry
+  async open() {
+    await fs.mkdir(this.segmentsPath, { recursive: true });
+
+    if (!await this.acquireLock()) {
+      this.readOnly = true;
+      logger.warn(new StoreLockedError(this.lockPath, this.lockHolder).message);
+    }
+
+    let log = '';
+    try {
+      log = await fs.readFile(this.logPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // A crash mid-append can leave a partial last line; cut it off so the next append starts clean.
+    // A read-only store may be looking at a line the writer is still appending, so it only skips it.
+    if (log.length > 0 && !log.endsWith('\n')) {
+      log = log.slice(0, log.lastIndexOf('\n') + 1);
+      if (!this.readOnly) {
+        logger.warn('Dropping incomplete last line of the segment log');
+        await fs.truncate(this.logPath, Buffer.byteLength(log));
+      }
+    }
+
+    for (const [i, line] of log.split('\n').entries()) {
+      if (line.length === 0) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Corrupt segment log at line ${i + 1}`);
+      }
+
+      if (record.op === 'put') {
+        this.release(record.entry.id);
+        this.locations.set(record.entry.id, record.location);
+        this.entries.set(record.entry.id, record.entry);
+      } else if (record.op === 'del') {
+        this.release(record.id);
+      }
+    }
+
+    for (const file of await fs.readdir(this.segmentsPath)) {
+      const match = file.match(/^seg-(\d+)\.bin$/);
+      if (!match) continue;
+      const segment = Number(match[1]);
+      this.segmentSizes.set(segment, (await fs.stat(path.join(this.segmentsPath, file))).size);
+      this.activeSegment = Math.max(this.activeSegment, segment);
+    }
+
+    // Bytes no live record points at (including appends whose log line never made it) are dead
+    const liveBytes = [...this.locations.values()].reduce((sum, location) => sum + this.recordBytes(location), 0);
+    this.deadBytes = this.totalBytes() - liveBytes;
+
+    return this.entries;
+  }
+
+  recordBytes(location) {
+    return location.vectorBytes + location.metadataBytes;
+  }
+
+  totalBytes() {
+    return [...this.segmentSizes.values()].reduce((sum, size) => sum + size, 0);
+  }
+
+  release(id) {
+    const location = this.locations.get(id);
+    if (location) {
+      this.deadBytes += this.recordBytes(location);
+      this.locations.delete(id);
+    }
+    this.entries.delete(id);
+  }
+
+  async encodeRecord(vector, metadata) {
+    const vectorBytes = encodeVector(vector, this.encoding);
+    const json = Buffer.from(JSON.stringify(metadata));
+    const metadataBytes = this.compression ? await deflate(json) : json;
+    return { vectorBytes, metadataBytes };
+  }
+
+  // Append raw record bytes to the active segment, starting a new one when it is full. The offset is
+  // the file's size on disk, so bytes left by an append whose log line never made it are skipped over.
+  async append(bytes) {
+    for (let segment = this.activeSegment || 1; ; segment++) {
+      const handle = await fs.open(this.segmentPath(segment), 'a');
+      try {
+        const { size } = await handle.stat();
+        if (size > 0 && size + bytes.length > this.maxSegmentBytes) continue;
+
+        await handle.write(bytes);
+        this.activeSegment = segment;
+        this.segmentSizes.set(segment, size + bytes.length);
+        return { segment, offset: size };
+      } finally {
+        await handle.close();
+      }
+    }
+  }
+
+  async put(entry, vector, metadata) {
+    this.assertWritable();
+    const { vectorBytes, metadataBytes } = await this.encodeRecord(vector, metadata);
+
+    return this.enqueue(async () => {
+      const { segment, offset } = await this.append(Buffer.concat([vectorBytes, metadataBytes]));
+      const location = {
+        segment,
+        offset,
+        vectorBytes: vectorBytes.length,
+        metadataBytes: metadataBytes.length,
+        encoding: this.encoding,
+        dimensions: vector.length,
+        compressed: this.compression
+      };
+
+      await fs.appendFile(this.logPath, JSON.stringify({ op: 'put', entry, location }) + '\n');
+      this.release(entry.id);
+      this.locations.set(entry.id, location);
+      this.entries.set(entry.id, entry);
+    });
+  }
+
+  async remove(id) {
+    this.assertWritable();
+    return this.enqueue(async () => {
+      await fs.appendFile(this.logPath, JSON.stringify({ op: 'del', id }) + '\n');
+      this.release(id);
+    });
+  }
+
+  async readBytes(location) {
+    const handle = await fs.open(this.segmentPath(location.segment), 'r');
+    try {
+      const buffer = Buffer.alloc(this.recordBytes(location));
+      await handle.read(buffer, 0, buffer.length, location.offset);
+      return buffer;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async decodeMetadata(bytes, location) {
+    return JSON.parse((location.compressed ? await inflate(bytes) : bytes).toString('utf8'));
+  }
+
+  // Resolves to `{ vector, metadata }`
+  async read(id) {
+    let location = this.locations.get(id);
+    if (!location) throw new Error(`No stored record for ${id}`);
+
+    let buffer;
+    try {
+      buffer = await this.readBytes(location);
+    } catch (error) {
+      // Compaction moved the record and removed its old segment while this read was starting
+      if (error.code !== 'ENOENT' || this.locations.get(id) === location) throw error;
+      location = this.locations.get(id);
+      if (!location) throw new Error(`No stored record for ${id}`);
+      buffer = await this.readBytes(location);
+    }
+    return {
+      vector: decodeVector(buffer, location.encoding, location.dimensions),
+      metadata: await this.decodeMetadata(buffer.subarray(location.vectorBytes), location)
+    };
+  }
+
+  // Yield `{ id, vector }` for the given ids, reading each segment file once
+  async *scanVectors(ids) {
+    const bySegment = new Map();
+    for (const id of ids) {
+      const location = this.locations.get(id);
+      if (!location) continue;
+      if (!bySegment.has(location.segment)) bySegment.set(location.segment, []);
+      bySegment.get(location.segment).push([id, location]);
+    }
+
+    for (const [segment, records] of bySegment) {
+      let buffer;
+      try {
+        buffer = await fs.readFile(this.segmentPath(segment));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        // Compacted away since the scan started; read the moved records one by one
+        for (const [id] of records) {
+          if (!this.locations.has(id)) continue;
+          yield { id, vector: (await this.read(id)).vector };
+        }
+        continue;
+      }
+      for (const [id, location] of records) {
+        const bytes = buffer.subarray(location.offset, location.offset + location.vectorBytes);
+        yield { id, vector: decodeVector(bytes, location.encoding, location.dimensions) };
+      }
+    }
+  }
+
+  needsCompaction() {
+    return this.deadBytes >= this.minCompactBytes && this.deadBytes / Math.max(1, this.totalBytes()) >= this.compactRatio;
+  }
+
+  /**
+   * Copy live records into new segments and replace the log with one put per live record. The log
+   * rename is the commit point: a crash before it leaves the old log and segments untouched.
+   */
+  async compact() {
+    this.assertWritable();
+    return this.enqueue(async () => {
+      const oldSizes = this.segmentSizes;
+      const oldActive = this.activeSegment;
+      const oldLocations = this.locations;
+      const before = this.totalBytes();
+
+      this.segmentSizes = new Map();
+      this.activeSegment = oldActive + 1;
+      const locations = new Map();
+      const lines = [];
+
+      try {
+        const bySegment = new Map();
+        for (const [id, location] of oldLocations) {
+          if (!bySegment.has(location.segment)) bySegment.set(location.segment, []);
+          bySegment.get(location.segment).push([id, location]);
+        }
+
+        for (const [segment, records] of bySegment) {
+          const buffer = await fs.readFile(this.segmentPath(segment));
+          for (const [id, location] of records) {
+            const bytes = buffer.subarray(location.offset, location.offset + this.recordBytes(location));
+            const { segment: newSegment, offset } = await this.append(bytes);
+            const newLocation = { ...location, segment: newSegment, offset };
+            locations.set(id, newLocation);
+            lines.push(JSON.stringify({ op: 'put', entry: this.entries.get(id), location: newLocation }));
+          }
+        }
+
+        const tempLogPath = `${this.logPath}.tmp`;
+        await fs.writeFile(tempLogPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        await fs.rename(tempLogPath, this.logPath);
+      } catch (error) {
+        // Leave the old state in place and drop the partial new segments
+        for (const segment of this.segmentSizes.keys()) {
+          await fs.rm(this.segmentPath(segment), { force: true });
+        }
+        this.segmentSizes = oldSizes;
+        this.activeSegment = oldActive;
+        throw error;
+      }
+
+      // Point reads at the new segments before the old ones disappear
+      this.locations = locations;
+      this.deadBytes = 0;
+      for (const segment of oldSizes.keys()) {
+        await fs.rm(this.segmentPath(segment), { force: true });
+      }
+      logger.info(`Compacted vector segments from ${before} to ${this.totalBytes()} bytes`);
+    });
+  }
+
+  getStats() {
+    return {
+      segments: this.segmentSizes.size,
+      segmentBytes: this.totalBytes(),
+      deadBytes: this.deadBytes,
+      vectorEncoding: this.encoding,
+      compression: this.compression,
+      readOnly: this.readOnly
+    };
+  }
+}
+
+export default SegmentStore;
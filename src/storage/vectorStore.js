@@ -1,74 +1,355 @@
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import logger from '../utils/logger.js';
+import HnswIndex from './hnsw.js';
+import SegmentStore, { StoreLockedError } from './segments.js';
 
-export class VectorStore {
+// Longest stretch the ANN index build runs before letting other work in
+const ANN_BUILD_SLICE_MS = 50;
+
+// Thrown when an embedding's model or dimensions differ from the ones its collection was built with
+export class CollectionMismatchError extends Error {
+  constructor(collection, embeddingData) {
+    super(
+      `Embedding from ${embeddingData.provider}/${embeddingData.model || 'unknown model'} ` +
+      `(${embeddingData.dimensions} dimensions) does not match the collection built with ` +
+      `${collection.provider}/${collection.model || 'unknown model'} (${collection.dimensions} dimensions). ` +
+      'Run `npm run reembed` to migrate the collection to the new model.'
+    );
+    this.name = 'CollectionMismatchError';
+    this.code = 'collection_mismatch';
+    this.collection = collection;
+  }
+}
+
+// Emits 'saved' and 'deleted' with the index entry so listeners (e.g. MCP resource subscriptions) can react.
+// Vectors and their metadata live in append-only binary segments (see segments.js); the index is rebuilt
+// from the segment log on startup.
+// `collection.json` records the provider, model and dimensions every vector in the store was embedded with;
+// vectors from any other model are refused so similarity scores stay comparable.
+// With indexing enabled, the collection's vectors are also kept in an HNSW index (saved as `hnsw.json` +
+// `hnsw.bin`) so searches do not read every stored vector.
+// One process writes a store at a time (see `segments.lock`); another process opening it gets a read-only
+// view as of the moment it opened, and its writes throw StoreLockedError.
+export class VectorStore extends EventEmitter {
   constructor(storePath = './data/embeddings') {
+    super();
+    this.setMaxListeners(0);
     this.storePath = storePath;
     this.indexPath = path.join(storePath, 'index.json');
+    this.collectionPath = path.join(storePath, 'collection.json');
     this.index = {};
+    this.segments = null;
+    this.collection = null;
+    this.annIndexPath = path.join(storePath, 'hnsw');
+    this.annIndex = null;
+    this.annOptions = null;
+    this.annSaveTimer = null;
+    this.annBuild = null;
   }
 
-  async initialize() {
+  // options.indexing turns the ANN index on; options.index holds its M / efConstruction / efSearch / exact.
+  // options.compression deflates stored metadata; options.segments holds vectorEncoding / maxSegmentBytes /
+  // compactRatio for the segment files.
+  async initialize(options = {}) {
     try {
       await fs.mkdir(this.storePath, { recursive: true });
-      
-      // Load existing index
-      try {
-        const indexData = await fs.readFile(this.indexPath, 'utf8');
-        this.index = JSON.parse(indexData);
+
+      this.segments = new SegmentStore(this.storePath, {
+        ...options.segments,
+        compression: options.compression
+      });
+      const hasLog = await this.segments.exists();
+      this.index = Object.fromEntries(await this.segments.open());
+
+      if (!hasLog && !this.segments.readOnly) {
+        await this.migrateLegacyFiles();
+      }
+
+      if (Object.keys(this.index).length > 0) {
         logger.info(`Loaded vector store index with ${Object.keys(this.index).length} entries`);
-      } catch (error) {
-        // Index doesn't exist yet, start fresh
-        this.index = {};
+      } else {
         logger.info('Starting with empty vector store index');
       }
+
+      await this.loadCollection();
+
+      if (options.indexing) {
+        this.annOptions = options.index || {};
+        await this.loadAnnIndex();
+      }
     } catch (error) {
       logger.error('Failed to initialize vector store:', error);
       throw error;
     }
   }
 
+  // Stores written before segments kept one JSON file per embedding plus index.json. Import them into
+  // segments, then remove the files; index.json is kept as index.json.migrated.
+  async migrateLegacyFiles() {
+    let legacyIndex;
+    try {
+      legacyIndex = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+    } catch (error) {
+      return;
+    }
+
+    const entries = Object.entries(legacyIndex);
+    logger.info(`Migrating ${entries.length} embedding files to segment storage`);
+    const migrated = [];
+
+    for (const [id, legacyEntry] of entries) {
+      const filePath = legacyEntry.filePath || path.join(this.storePath, `${id}.json`);
+      try {
+        const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        const entry = { id, ...legacyEntry };
+        delete entry.filePath;
+        await this.segments.put(entry, stored.embedding, stored.metadata || {});
+        this.index[entry.id] = entry;
+        migrated.push(filePath);
+      } catch (error) {
+        logger.warn(`Skipping embedding ${id} during migration:`, error.message);
+      }
+    }
+
+    await fs.rename(this.indexPath, `${this.indexPath}.migrated`);
+    for (const filePath of migrated) {
+      await fs.rm(filePath, { force: true });
+    }
+    logger.info(`Migrated ${migrated.length} of ${entries.length} embeddings to segment storage`);
+  }
+
+  // Stores created before collections were recorded take their settings from the most common
+  // dimension in the index; their model is unknown until the store is re-embedded
+  async loadCollection() {
+    try {
+      this.collection = JSON.parse(await fs.readFile(this.collectionPath, 'utf8'));
+      return;
+    } catch (error) {
+      this.collection = null;
+    }
+
+    const entries = Object.values(this.index);
+    if (entries.length === 0) return;
+
+    const counts = {};
+    for (const entry of entries) {
+      counts[entry.dimensions] = (counts[entry.dimensions] || 0) + 1;
+    }
+    const [dimensions] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    const sample = entries.find(entry => String(entry.dimensions) === dimensions);
+
+    if (Object.keys(counts).length > 1) {
+      logger.warn('Vector store mixes embedding dimensions; searches only use the majority dimension', { counts });
+    }
+
+    await this.setCollection({ provider: sample.provider, model: sample.model, dimensions: Number(dimensions) });
+  }
+
+  async setCollection({ provider, model, dimensions }) {
+    this.collection = {
+      provider,
+      model: model || null,
+      dimensions,
+      createdAt: new Date().toISOString()
+    };
+    if (!this.segments.readOnly) {
+      await fs.writeFile(this.collectionPath, JSON.stringify(this.collection, null, 2));
+    }
+    logger.info(`Vector store collection set to ${provider}/${model || 'unknown model'} (${dimensions} dimensions)`);
+
+    // Vectors of the previous collection no longer belong in the ANN index
+    if (this.annBuild) {
+      this.annBuild.cancelled = true;
+      this.annBuild = null;
+    }
+    if (this.annOptions) {
+      this.annIndex = new HnswIndex({ ...this.annOptions, dimensions });
+      this.scheduleAnnSave();
+    }
+  }
+
+  // The version (savedAt) of every vector the ANN index should hold. Saved with the graph, so on startup
+  // only the writes the saved graph missed (e.g. the process exited before it was saved) are replayed.
+  annVersions() {
+    return Object.fromEntries(Object.values(this.index)
+      .filter(entry => this.isCompatible(entry))
+      .map(entry => [entry.id, entry.savedAt]));
+  }
+
+  async loadAnnIndex() {
+    this.annIndex = null;
+    if (!this.collection) return;
+
+    const saved = await HnswIndex.load(this.annIndexPath, { ...this.annOptions, dimensions: this.collection.dimensions });
+    const versions = this.annVersions();
+    const savedVersions = saved?.meta.versions;
+    if (savedVersions && Object.keys(versions).length === Object.keys(savedVersions).length &&
+        Object.entries(versions).every(([id, savedAt]) => savedVersions[id] === savedAt)) {
+      this.annIndex = saved.index;
+      logger.info(`Loaded HNSW index with ${this.annIndex.size} vectors`);
+      return;
+    }
+
+    // Searches scan the stored vectors until the index has caught up
+    this.startAnnBuild(savedVersions ? saved : null);
+  }
+
+  /**
+   * Build the ANN index without blocking the process: vectors are added in slices of about
+   * ANN_BUILD_SLICE_MS with the event loop running requests in between. `base` is a saved graph
+   * (`{ index, meta }`) to bring up to date instead of starting over. Until the build finishes, searches
+   * use the current index (or scan the stored vectors when there is none); writes made meanwhile go to
+   * both and are replayed onto the new index before it replaces the current one.
+   */
+  startAnnBuild(base = null) {
+    if (this.annBuild) return this.annBuild.promise;
+
+    const build = { pending: new Map(), cancelled: false };
+    build.promise = this.runAnnBuild(build, base)
+      .catch(error => logger.warn('Failed to build HNSW index:', error.message))
+      .finally(() => {
+        if (this.annBuild === build) this.annBuild = null;
+      });
+    this.annBuild = build;
+    return build.promise;
+  }
+
+  async runAnnBuild(build, base) {
+    const startTime = Date.now();
+    const versions = this.annVersions();
+    let annIndex = base?.index || null;
+
+    if (annIndex) {
+      // Drop vectors that were deleted or overwritten since the graph was saved
+      for (const node of annIndex.nodes) {
+        if (!node.deleted && versions[node.id] !== base.meta.versions[node.id]) {
+          annIndex.remove(node.id);
+        }
+      }
+      if (annIndex.needsRebuild()) annIndex = null;
+    }
+    annIndex = annIndex || new HnswIndex({ ...this.annOptions, dimensions: this.collection.dimensions });
+
+    const missing = Object.keys(versions).filter(id => !annIndex.has(id));
+    let sliceStart = Date.now();
+    for await (const { id, vector } of this.segments.scanVectors(missing)) {
+      if (build.cancelled) return;
+      annIndex.add(id, vector);
+
+      if (Date.now() - sliceStart >= ANN_BUILD_SLICE_MS) {
+        await new Promise(resolve => setImmediate(resolve));
+        sliceStart = Date.now();
+      }
+    }
+    if (build.cancelled) return;
+
+    for (const [id, vector] of build.pending) {
+      if (vector) annIndex.add(id, vector);
+      else annIndex.remove(id);
+    }
+
+    this.annIndex = annIndex;
+    await this.saveAnnIndex();
+    logger.info(`Built HNSW index with ${annIndex.size} vectors (${missing.length} added) in ${Date.now() - startTime}ms`);
+  }
+
+  // Apply a write to the ANN index and to any build in progress; `vector` is null for a delete
+  updateAnnIndex(id, vector) {
+    if (this.annBuild) this.annBuild.pending.set(id, vector);
+    if (!this.annIndex) return;
+
+    if (vector) {
+      this.annIndex.add(id, vector);
+    } else if (!this.annIndex.remove(id)) {
+      return;
+    }
+    this.scheduleAnnSave();
+
+    // Overwrites leave deleted nodes behind; replace the graph once they pile up
+    if (this.annIndex.needsRebuild()) {
+      this.startAnnBuild();
+    }
+  }
+
+  // Saving the whole graph after every write would dominate ingestion, so saves are batched
+  scheduleAnnSave() {
+    if (this.annSaveTimer) return;
+    this.annSaveTimer = setTimeout(() => {
+      this.annSaveTimer = null;
+      this.saveAnnIndex().catch(error => logger.warn('Failed to save HNSW index:', error.message));
+    }, 5000);
+    this.annSaveTimer.unref();
+  }
+
+  async saveAnnIndex() {
+    clearTimeout(this.annSaveTimer);
+    this.annSaveTimer = null;
+    if (!this.annIndex || this.segments.readOnly) return;
+    await this.annIndex.save(this.annIndexPath, { versions: this.annVersions() });
+  }
+
+  // Persist pending index state before the process exits
+  async flush() {
+    await this.saveAnnIndex();
+  }
+
+  // Flush and release the store's lock so another process can write it
+  async close() {
+    if (this.annBuild) this.annBuild.cancelled = true;
+    await this.flush();
+    await this.segments?.close();
+  }
+
+  // An unknown model on either side (older entries, imports) only has to match dimensions
+  isCompatible({ model, dimensions }, collection = this.collection) {
+    if (!collection) return true;
+    if (dimensions !== collection.dimensions) return false;
+    return !model || !collection.model || model === collection.model;
+  }
+
   async saveEmbedding(id, embeddingData, metadata = {}) {
     try {
+      this.segments.assertWritable();
+      const dimensions = embeddingData.dimensions ?? embeddingData.embedding?.length;
+      if (!this.collection) {
+        await this.setCollection({ ...embeddingData, dimensions });
+      } else if (!this.isCompatible({ model: embeddingData.model, dimensions })) {
+        throw new CollectionMismatchError(this.collection, { ...embeddingData, dimensions });
+      }
+
       const embeddingId = id || this.generateId(metadata.source || 'unknown');
       const timestamp = new Date().toISOString();
-      
-      const entry = {
-        id: embeddingId,
-        embedding: embeddingData.embedding,
-        provider: embeddingData.provider,
-        dimensions: embeddingData.dimensions,
-        metadata: {
-          ...metadata,
-          savedAt: timestamp
-        }
-      };
 
-      // Save embedding data to separate file
-      const embeddingFilePath = path.join(this.storePath, `${embeddingId}.json`);
-      await fs.writeFile(embeddingFilePath, JSON.stringify(entry, null, 2));
-
-      // Update index
-      this.index[embeddingId] = {
+      const entry = {
         id: embeddingId,
-        filePath: embeddingFilePath,
         provider: embeddingData.provider,
-        dimensions: embeddingData.dimensions,
+        model: embeddingData.model,
+        dimensions,
         source: metadata.source,
         title: metadata.title,
+        chunk: metadata.chunk,
+        totalChunks: metadata.totalChunks,
+        headingPath: metadata.headingPath,
         wordCount: metadata.wordCount,
         relevanceScore: metadata.relevanceScore,
         savedAt: timestamp
       };
 
-      await this.saveIndex();
+      await this.segments.put(entry, embeddingData.embedding, { ...metadata, savedAt: timestamp });
+      this.index[embeddingId] = entry;
+      await this.compactIfNeeded();
+      this.updateAnnIndex(embeddingId, embeddingData.embedding);
       logger.debug(`Saved embedding ${embeddingId} to vector store`);
+      this.emit('saved', this.index[embeddingId]);
       
       return embeddingId;
     } catch (error) {
-      logger.error('Failed to save embedding:', error);
+      if (!(error instanceof CollectionMismatchError) && !(error instanceof StoreLockedError)) {
+        logger.error('Failed to save embedding:', error);
+      }
       throw error;
     }
   }
@@ -79,47 +360,88 @@ export class VectorStore {
         throw new Error(`Embedding ${id} not found in index`);
       }
 
-      const filePath = this.index[id].filePath;
-      const data = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(data);
+      const entry = this.index[id];
+      const { vector, metadata } = await this.segments.read(id);
+      return {
+        id,
+        embedding: vector,
+        provider: entry.provider,
+        model: entry.model,
+        dimensions: entry.dimensions,
+        metadata
+      };
     } catch (error) {
       logger.error(`Failed to get embedding ${id}:`, error);
       throw error;
     }
   }
 
-  async searchSimilar(queryEmbedding, limit = 10, threshold = 0.7) {
+  // Only entries embedded with the query's model and dimensions are scored; pass `options.model` so
+  // same-sized vectors from another model are skipped too. Compatible queries go to the HNSW index when
+  // there is one (`options.exact` scans its vectors exactly, `options.efSearch` trades speed for recall);
+  // otherwise every stored vector is read and compared.
+  async searchSimilar(queryEmbedding, limit = 10, threshold = 0.7, options = {}) {
     try {
-      const results = [];
+      const query = { model: options.model, dimensions: queryEmbedding.length };
+      const ids = [];
+      let skipped = 0;
+
+      if (!this.isCompatible(query)) {
+        logger.warn('Query embedding does not match the vector store collection', {
+          query,
+          collection: this.collection
+        });
+      } else if (this.annIndex) {
+        const exact = options.exact ?? this.annOptions.exact ?? false;
+        const hits = exact
+          ? this.annIndex.exactSearch(queryEmbedding, limit)
+          : this.annIndex.search(queryEmbedding, limit, options.efSearch);
+        return await this.loadResults(hits.filter(hit => hit.similarity >= threshold));
+      }
 
       for (const [id, indexEntry] of Object.entries(this.index)) {
-        try {
-          const embeddingData = await this.getEmbedding(id);
-          const similarity = this.cosineSimilarity(queryEmbedding, embeddingData.embedding);
-          
-          if (similarity >= threshold) {
-            results.push({
-              id,
-              similarity,
-              metadata: indexEntry,
-              embeddingData
-            });
-          }
-        } catch (error) {
-          logger.warn(`Failed to load embedding ${id} for similarity search:`, error.message);
+        if (this.isCompatible(indexEntry, query)) {
+          ids.push(id);
+        } else {
+          skipped++;
+        }
+      }
+
+      if (skipped > 0) {
+        logger.debug(`Skipped ${skipped} embeddings from other models in similarity search`);
+      }
+
+      // Score vectors straight from the segments; metadata is only read for the hits that are returned
+      const hits = [];
+      for await (const { id, vector } of this.segments.scanVectors(ids)) {
+        const similarity = this.cosineSimilarity(queryEmbedding, vector);
+        if (similarity >= threshold) {
+          hits.push({ id, similarity });
         }
       }
 
       // Sort by similarity descending and limit results
-      return results
+      return await this.loadResults(hits
         .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, limit);
+        .slice(0, limit));
     } catch (error) {
       logger.error('Failed to search similar embeddings:', error);
       throw error;
     }
   }
 
+  async loadResults(hits) {
+    const results = [];
+    for (const { id, similarity } of hits) {
+      try {
+        results.push({ id, similarity, metadata: this.index[id], embeddingData: await this.getEmbedding(id) });
+      } catch (error) {
+        logger.warn(`Failed to load embedding ${id} for similarity search:`, error.message);
+      }
+    }
+    return results;
+  }
+
   async listEmbeddings(filter = {}) {
     const results = [];
     
@@ -133,6 +455,10 @@ export class VectorStore {
       if (filter.provider && entry.provider !== filter.provider) {
         matches = false;
       }
+
+      if (filter.model && entry.model !== filter.model) {
+        matches = false;
+      }
       
       if (filter.minRelevance && entry.relevanceScore < filter.minRelevance) {
         matches = false;
@@ -152,10 +478,13 @@ export class VectorStore {
         throw new Error(`Embedding ${id} not found`);
       }
 
-      const filePath = this.index[id].filePath;
-      await fs.unlink(filePath);
+      const entry = this.index[id];
+      this.segments.assertWritable();
+      await this.segments.remove(id);
       delete this.index[id];
-      await this.saveIndex();
+      await this.compactIfNeeded();
+      this.updateAnnIndex(id, null);
+      this.emit('deleted', entry);
       
       logger.info(`Deleted embedding ${id}`);
     } catch (error) {
@@ -164,11 +493,18 @@ export class VectorStore {
     }
   }
 
-  async saveIndex() {
+  // Overwritten and deleted embeddings leave dead bytes in the segments until they are compacted
+  async compactIfNeeded() {
+    if (this.segments.needsCompaction()) {
+      await this.compact();
+    }
+  }
+
+  async compact() {
     try {
-      await fs.writeFile(this.indexPath, JSON.stringify(this.index, null, 2));
+      await this.segments.compact();
     } catch (error) {
-      logger.error('Failed to save vector store index:', error);
+      logger.error('Failed to compact vector store segments:', error);
       throw error;
     }
   }
@@ -179,6 +515,13 @@ export class VectorStore {
     return `emb_${hash.substring(0, 12)}`;
   }
 
+  // Stable id for a chunk of a source, so reprocessing an unchanged page overwrites its entries
+  // instead of adding duplicates
+  contentId(source, chunk, text) {
+    const hash = crypto.createHash('sha256').update(`${source}\n${chunk}\n${text}`).digest('hex');
+    return `emb_${hash.substring(0, 12)}`;
+  }
+
   cosineSimilarity(vecA, vecB) {
     if (vecA.length !== vecB.length) {
       throw new Error('Vectors must have the same dimensions');
@@ -205,33 +548,39 @@ export class VectorStore {
   }
 
   async getStats() {
+    const storage = this.segments.getStats();
     const stats = {
       totalEmbeddings: Object.keys(this.index).length,
+      collection: this.collection,
+      incompatibleEmbeddings: 0,
+      annIndex: this.annIndex
+        ? { type: 'hnsw', vectors: this.annIndex.size, deleted: this.annIndex.deleted, M: this.annIndex.M, efSearch: this.annIndex.efSearch, building: !!this.annBuild }
+        : this.annBuild ? { type: 'hnsw', building: true } : null,
+      storage,
       providers: {},
       averageRelevance: 0,
-      totalDiskUsage: 0
+      totalDiskUsage: storage.segmentBytes
     };
 
+    try {
+      stats.totalDiskUsage += (await fs.stat(this.segments.logPath)).size;
+    } catch (error) {
+      // Nothing written yet
+    }
+
     let relevanceSum = 0;
     let relevanceCount = 0;
 
     for (const entry of Object.values(this.index)) {
       // Count by provider
       stats.providers[entry.provider] = (stats.providers[entry.provider] || 0) + 1;
+      if (!this.isCompatible(entry)) stats.incompatibleEmbeddings++;
       
       // Calculate average relevance
       if (entry.relevanceScore !== undefined) {
         relevanceSum += entry.relevanceScore;
         relevanceCount++;
       }
-      
-      // Calculate disk usage
-      try {
-        const fileStat = await fs.stat(entry.filePath);
-        stats.totalDiskUsage += fileStat.size;
-      } catch (error) {
-        // File might not exist
-      }
     }
 
     if (relevanceCount > 0) {
@@ -242,4 +591,5 @@ export class VectorStore {
   }
 }
 
+export { StoreLockedError };
 export default VectorStore;
@@ -23,11 +23,36 @@ export async function loadConfig() {
       }
     }
     
+    // Other providers name the environment variable holding their key
+    for (const provider of config.embedding.providers) {
+      if (provider.apiKeyEnv && process.env[provider.apiKeyEnv]) {
+        provider.apiKey = process.env[provider.apiKeyEnv];
+      }
+    }
+
+    if (process.env.OLLAMA_URL) {
+      const ollamaProvider = config.embedding.providers.find(p => (p.type || p.name) === 'ollama');
+      if (ollamaProvider) {
+        ollamaProvider.url = process.env.OLLAMA_URL;
+      }
+    }
+    
     if (process.env.LM_STUDIO_URL) {
       const lmStudioProvider = config.embedding.providers.find(p => p.name === 'lmstudio');
       if (lmStudioProvider) {
         lmStudioProvider.url = process.env.LM_STUDIO_URL;
       }
+      if (config.chat) {
+        config.chat.url = process.env.LM_STUDIO_URL;
+      }
+      // LM Studio's own UI may call the MCP endpoint from its origin
+      if (config.mcp?.http?.allowedOrigins) {
+        config.mcp.http.allowedOrigins.push(process.env.LM_STUDIO_URL);
+      }
+    }
+
+    if (process.env.LM_STUDIO_CHAT_MODEL && config.chat) {
+      config.chat.model = process.env.LM_STUDIO_CHAT_MODEL;
     }
     
     return config;
@@ -39,7 +64,7 @@ export async function loadConfig() {
         providers: [
           {
             name: 'local',
-            type: 'mock',
+            type: 'hashing',
             dimensions: 384,
             priority: 1
           }
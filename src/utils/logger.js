@@ -26,4 +26,13 @@ const logger = winston.createLogger({
   ]
 });
 
+// Route all console output to stderr (stdout is reserved for protocol traffic in stdio mode)
+export function useStderrForConsole() {
+  for (const transport of logger.transports) {
+    if (transport instanceof winston.transports.Console) {
+      transport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+    }
+  }
+}
+
 export default logger;
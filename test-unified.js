@@ -10,8 +10,43 @@ import { enhancedTextProcessor } from './src/analyzer/textProcessor.js';
 import BrowserManager from './src/scraper/browser.js';
 import EmbeddingService from './src/embeddingService.js';
 import URLScraper from './lib/scraper.js';
+import MCPServer from './src/mcp/server.js';
+import StdioTransport from './src/mcp/transports/stdio.js';
+import StreamableHttpTransport from './src/mcp/transports/streamableHttp.js';
+import { PassThrough } from 'stream';
+import { spawn } from 'child_process';
+import express from 'express';
+import mcpRoutes, { rpcParseErrorHandler } from './routes/mcp.js';
+import logger from './src/utils/logger.js';
+import { getEmbeddingService, getKnowledgeBase } from './src/mcp/services.js';
+import { ToolRegistry, getToolRegistry } from './src/mcp/registry.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import fetch from 'node-fetch';
 import { BAMBISLEEP_KEYWORDS, calculateEnhancedRelevanceScore } from './src/analyzer/filters.js';
+import { validate, formatErrors } from './src/mcp/schema.js';
+import { getConfig } from './src/utils/config.js';
+import { runToolLoop, modelFacingResult } from './src/chat/tools.js';
+import { listModels } from './src/modelCatalog.js';
+import reembed from './scripts/reembed.js';
+import { extractCitations } from './src/chat/citations.js';
+import { historyMessages, summarizeConversation } from './src/chat/history.js';
+import ConversationStore from './src/storage/conversationStore.js';
+import { EmbeddingGenerator } from './src/embeddings/generator.js';
+import {
+  LMStudioProvider,
+  LocalHashingProvider,
+  OllamaProvider,
+  OpenAICompatibleProvider
+} from './src/embeddings/models.js';
+import EmbeddingCache, { cacheKey } from './src/embeddings/cache.js';
+import ProviderHealth, { CircuitState } from './src/embeddings/health.js';
+import { IdfTable, extractFeatures } from './src/embeddings/hashing.js';
+import { chunkText, estimateTokens, CHUNKING_STRATEGIES } from './src/embeddings/chunkers.js';
+import VectorStore, { CollectionMismatchError } from './src/storage/vectorStore.js';
+import HnswIndex from './src/storage/hnsw.js';
+import SegmentStore, { encodeVector, decodeVector } from './src/storage/segments.js';
 
 // Test URLs - primarily using bambisleep.info
 const TEST_URLS = [
@@ -22,6 +57,100 @@ const TEST_URLS = [
 
 const API_BASE = 'http://localhost:3000';
 
+// Deterministic pseudo-random vectors so offline storage tests are repeatable
+function randomVectors(count, dimensions, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32 - 0.5;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: dimensions }, random));
+}
+
+// Serve an Express app on a free local port for offline HTTP tests; resolves to `{ url, close }`
+async function listen(app) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// An app with only the MCP routes mounted, as server.js mounts them
+function mcpApp() {
+  const app = express();
+  app.use(express.json());
+  app.locals.logger = logger;
+  app.use('/api/mcp', mcpRoutes);
+  app.use(['/api/mcp/rpc', '/api/mcp/stream'], rpcParseErrorHandler);
+  return app;
+}
+
+// The full server app; server.js listens on import, so point it at a throwaway port first
+async function serverApp() {
+  const port = process.env.PORT;
+  process.env.PORT = '0';
+  try {
+    return (await import('./server.js')).default;
+  } finally {
+    if (port === undefined) delete process.env.PORT;
+    else process.env.PORT = port;
+  }
+}
+
+// Stand in for LM Studio: `reply(body, res)` answers each chat completion, `models` is what it
+// lists as loaded, and the configured chat URL points here until `close()`
+async function fakeChatUpstream(reply, { models = [] } = {}) {
+  const requests = [];
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.post('/v1/chat/completions', (req, res) => {
+    requests.push(req.body);
+    reply(req.body, res, requests.length);
+  });
+  app.get('/v1/models', (req, res) => res.json({ object: 'list', data: models }));
+
+  const chatConfig = (await getConfig()).chat;
+  const originalUrl = chatConfig.url;
+  const upstream = await listen(app);
+  chatConfig.url = upstream.url;
+  return {
+    requests,
+    close: async () => {
+      chatConfig.url = originalUrl;
+      await upstream.close();
+    }
+  };
+}
+
+// A non-streaming OpenAI chat completion carrying `message`
+function completion(message, finishReason = 'stop') {
+  return {
+    id: 'chatcmpl-test',
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: 'test-model',
+    choices: [{ index: 0, message: { role: 'assistant', ...message }, finish_reason: finishReason }],
+    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+  };
+}
+
+// An embedding generator over `providers` only, each with a fresh circuit breaker and no probe timer
+function generatorWith(providers, healthOptions = {}) {
+  const generator = new EmbeddingGenerator();
+  generator.providers = providers;
+  generator.currentProvider = providers[0];
+  for (const provider of providers) {
+    generator.health.set(provider.name, new ProviderHealth(provider.name, healthOptions));
+  }
+  return generator;
+}
+
 class UnifiedTestSuite {
   constructor() {
     this.passed = 0;
@@ -183,8 +312,7 @@ class UnifiedTestSuite {
 
   // Test 5: Embedding Service
   async testEmbeddingService() {
-    const service = new EmbeddingService();
-    await service.initialize();
+    const service = await getEmbeddingService();
     
     this.log('Testing embedding service initialization');
     
@@ -418,72 +546,2062 @@ class UnifiedTestSuite {
     }
   }
 
-  // Test 10: Full Pipeline Integration
-  async testFullPipeline() {
-    const testUrl = TEST_URLS[0];
-    this.log(`Testing full pipeline integration with: ${testUrl}`);
-    
-    // Step 1: Fetch content
-    this.log('Step 1: Fetching content with enhanced fetcher');
-    const fetchResult = await enhancedFetcher.smartFetch(testUrl, { timeout: 15000 });
-    
-    if (!fetchResult.success) {
-      throw new Error(`Fetch failed: ${fetchResult.error}`);
-    }
-    
-    // Step 2: Process and analyze
-    this.log('Step 2: Processing content with enhanced analysis');
-    const processResult = await enhancedTextProcessor.processText(
-      fetchResult.data.content.mainContent, 
-      { 
-        url: testUrl,
-        enhanced: true,
-        title: fetchResult.data.content.title
+  // Test 9.5: MCP JSON-RPC protocol handling
+  async testMCPJsonRpc() {
+    const server = new MCPServer();
+    this.log('Testing MCP JSON-RPC handshake and tool listing');
+
+    const init = await server.handle({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'unified-test', version: '1.0.0' }
       }
-    );
-    
-    // Step 3: Generate embeddings
-    this.log('Step 3: Generating embeddings');
-    const service = new EmbeddingService();
-    await service.initialize();
-    
-    const embeddingResult = await service.processContent({
-      title: fetchResult.data.content.title,
-      description: fetchResult.data.content.description,
-      mainContent: processResult.text,
-      wordCount: processResult.analysis?.wordCount || 0
-    }, {
-      url: testUrl,
-      timestamp: new Date().toISOString(),
-      source: 'unified-test-pipeline'
     });
-    
-    this.log(`Pipeline completed successfully`);
-    this.log(`Content length: ${processResult.text?.length || 0} chars`);
-    this.log(`Relevance score: ${processResult.analysis?.relevanceScore?.toFixed(3) || 'N/A'}`);
-    this.log(`Quality score: ${processResult.analysis?.qualityScore?.toFixed(3) || 'N/A'}`);
-    this.log(`Embeddings generated: ${embeddingResult.embeddings?.length || 0}`);
-    
+
+    if (init.result?.protocolVersion !== '2024-11-05') {
+      throw new Error(`Unexpected protocol version: ${init.result?.protocolVersion}`);
+    }
+
+    const initialized = await server.handle({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    if (initialized !== null) {
+      throw new Error('Notifications must not produce a response');
+    }
+
+    const [ping, tools, unknown] = await server.handle([
+      { jsonrpc: '2.0', id: 2, method: 'ping' },
+      { jsonrpc: '2.0', id: 3, method: 'tools/list' },
+      { jsonrpc: '2.0', id: 4, method: 'unknown/method' }
+    ]);
+
+    if (unknown.error?.code !== -32601) {
+      throw new Error('Unknown methods must return -32601');
+    }
+
+    // Stateless /rpc requests are isolated: cancelling id 7 in one POST leaves another client's id 7 running
+    const { url, close } = await listen(mcpApp());
+    const scrapeUrl = URLScraper.prototype.scrapeUrl;
+    let release;
+    const send = body => fetch(`${url}/api/mcp/rpc`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    try {
+      let started;
+      const scraping = new Promise(resolve => {
+        started = resolve;
+      });
+      URLScraper.prototype.scrapeUrl = async targetUrl => {
+        started();
+        await new Promise(resolve => {
+          release = resolve;
+        });
+        return { success: true, url: targetUrl, data: { title: 'Slow page' } };
+      };
+      const slow = send({
+        jsonrpc: '2.0',
+        id: 7,
+        method: 'tools/call',
+        params: { name: 'batch_url_scraper', arguments: { urls: ['https://example.com/slow'] } }
+      });
+      await scraping;
+      const cancel = await send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7 } });
+      release();
+      const answered = await (await slow).json();
+      if (cancel.status !== 202) {
+        throw new Error(`Notifications over /rpc must get 202, got ${cancel.status}`);
+      }
+      if (answered.id !== 7 || !answered.result || answered.result.isError) {
+        throw new Error(`A cancel sent in another /rpc request reached this one: ${JSON.stringify(answered)}`);
+      }
+
+      // Only a body that fails to parse is a Parse error; parsed non-requests are Invalid Requests
+      const postRaw = body => fetch(`${url}/api/mcp/rpc`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body
+      });
+      for (const [body, code] of [['{"jsonrpc": "2.0",', -32700], ['{}', -32600], ['5', -32600], ['"ping"', -32600], ['null', -32600]]) {
+        const response = await postRaw(body);
+        const error = (await response.json()).error;
+        if (response.status !== 400 || error?.code !== code) {
+          throw new Error(`/rpc body ${body} must get ${code}, got ${response.status} ${JSON.stringify(error)}`);
+        }
+      }
+    } finally {
+      URLScraper.prototype.scrapeUrl = scrapeUrl;
+      release?.();
+      await close();
+    }
+
+    this.log(`Server: ${init.result.serverInfo.name} ${init.result.serverInfo.version}`);
+    this.log(`Tools listed: ${tools.result.tools.length}`);
+
     return {
-      url: testUrl,
-      method: fetchResult.method,
-      contentLength: processResult.text?.length || 0,
-      relevanceScore: processResult.analysis?.relevanceScore,
-      qualityScore: processResult.analysis?.qualityScore,
-      category: processResult.analysis?.category,
-      embeddingsGenerated: embeddingResult.embeddings?.length || 0,
-      provider: embeddingResult.provider
+      protocolVersion: init.result.protocolVersion,
+      ping: !!ping.result,
+      toolsListed: tools.result.tools.length
     };
   }
-  async runAllTests() {
-    console.log('🚀 Starting Unified Test Suite for LM Studio URL Scraper Toolset\n');
-    console.log('🎯 Primary test target: bambisleep.info (comprehensive testing)');
-    console.log('📊 Testing all modules with BambiSleep-focused content analysis');
-    console.log('=' .repeat(80));
-    
-    const startTime = Date.now();
-    
-    try {      // Run all tests in optimized order
+
+  // Offline: newline-delimited JSON-RPC over the stdio transport and the standalone entry point
+  async testStdioTransport() {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const transport = new StdioTransport(input, output);
+    const server = new MCPServer();
+    const lines = [];
+    let closed = false;
+    output.on('data', chunk => lines.push(...chunk.toString().split('\n').filter(Boolean)));
+    transport.onclose = () => {
+      closed = true;
+    };
+    this.log('Testing MCP stdio transport');
+
+    server.connect(transport);
+    input.write(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }) + '\n');
+    input.write('\n{not json\n');
+    input.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    input.end();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const responses = lines.map(line => JSON.parse(line));
+    if (responses.length !== 2 || !responses.find(response => response.id === 1)?.result) {
+      throw new Error(`Unexpected stdio responses: ${lines.join(' | ')}`);
+    }
+    if (responses.find(response => response.id === null)?.error?.code !== -32700) {
+      throw new Error('Malformed lines must get a parse error');
+    }
+    if (!closed) {
+      throw new Error('End of input did not close the transport');
+    }
+
+    // The entry point keeps stdout for protocol messages only, even while it logs, and persists lazily
+    // saved state (here the vector store's HNSW graph) before it exits
+    const child = spawn(process.execPath, ['scripts/mcp-stdio.js'], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    const timer = setTimeout(() => child.kill(), 15000);
+    child.stdin.end([
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'unified-test' } } },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+      {
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: {
+          name: 'process_content',
+          arguments: {
+            content: { title: 'Shutdown flush', mainContent: 'Bambi sleep hypnosis triggers and deep relaxation sessions. '.repeat(10) },
+            metadata: { source: `https://example.com/stdio-shutdown/${Date.now()}` }
+          }
+        }
+      }
+    ].map(message => JSON.stringify(message)).join('\n') + '\n');
+    const exitCode = await exited;
+    clearTimeout(timer);
+
+    const messages = stdout.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const tools = messages.find(message => message.id === 2)?.result?.tools;
+    if (exitCode !== 0 || messages.length !== 3 || !tools?.length) {
+      throw new Error(`stdio server answered ${messages.length} messages and exited with ${exitCode}`);
+    }
+    const stored = messages.find(message => message.id === 3)?.result?.structuredContent?.embeddings || [];
+    const graph = JSON.parse(await fs.readFile(path.join('data', 'embeddings', 'hnsw.json'), 'utf8').catch(() => '{"nodes":[]}'));
+    const graphIds = new Set(graph.nodes.filter(node => !node.deleted).map(node => node.id));
+    if (stored.length === 0 || !stored.every(entry => graphIds.has(entry.id))) {
+      throw new Error('stdio server exited without persisting the HNSW graph');
+    }
+
+    this.log(`stdio server listed ${tools.length} tools and exited cleanly`);
+    return { tools: tools.length };
+  }
+
+  // Offline: Streamable HTTP sessions, SSE responses and session lifecycle
+  async testStreamableHttp() {
+    const { url, close } = await listen(mcpApp());
+    const endpoint = `${url}/api/mcp/stream`;
+    const post = (body, headers = {}) => fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+      body: JSON.stringify(body)
+    });
+    this.log('Testing MCP Streamable HTTP transport');
+
+    try {
+      const init = await post({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'unified-test' } }
+      }, { Accept: 'application/json' });
+      const sessionId = init.headers.get('mcp-session-id');
+      if (init.status !== 200 || !sessionId || (await init.json()).result?.protocolVersion !== '2025-03-26') {
+        throw new Error(`initialize failed with status ${init.status}`);
+      }
+
+      const notified = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+      if (notified.status !== 202) {
+        throw new Error(`Notifications must be acknowledged with 202, got ${notified.status}`);
+      }
+
+      // Requests from a client that accepts SSE are answered on an event stream
+      const listed = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId });
+      const events = (await listed.text()).split('\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => JSON.parse(line.slice(6)));
+      if (!listed.headers.get('content-type')?.includes('text/event-stream') || events.at(-1)?.id !== 2 || !events.at(-1).result?.tools?.length) {
+        throw new Error('tools/list was not answered over SSE');
+      }
+
+      // Long tools stream partial results as log notifications ahead of the final response
+      const scrapeUrl = URLScraper.prototype.scrapeUrl;
+      URLScraper.prototype.scrapeUrl = async url => ({ success: true, url, data: { title: `Page ${url}` } });
+      let streamed;
+      try {
+        const batch = await post({
+          jsonrpc: '2.0',
+          id: 6,
+          method: 'tools/call',
+          params: { name: 'batch_url_scraper', arguments: { urls: ['https://example.com/a', 'https://example.com/b'] } }
+        }, { 'Mcp-Session-Id': sessionId });
+        streamed = (await batch.text()).split('\n')
+          .filter(line => line.startsWith('data: '))
+          .map(line => JSON.parse(line.slice(6)));
+      } finally {
+        URLScraper.prototype.scrapeUrl = scrapeUrl;
+      }
+      const partials = streamed.filter(message => message.params?.data?.type === 'partial_result');
+      if (partials.length !== 2 || streamed.at(-1)?.id !== 6 || streamed.at(-1).result?.isError) {
+        throw new Error(`Expected 2 partial results before the response, got ${partials.length}`);
+      }
+
+      const missing = await post({ jsonrpc: '2.0', id: 3, method: 'ping' });
+      const unknown = await post({ jsonrpc: '2.0', id: 4, method: 'ping' }, { 'Mcp-Session-Id': 'no-such-session' });
+      const getWithoutSse = await fetch(endpoint, { headers: { 'Mcp-Session-Id': sessionId } });
+      if (missing.status !== 400 || unknown.status !== 404 || getWithoutSse.status !== 405) {
+        throw new Error(`Expected 400/404/405, got ${missing.status}/${unknown.status}/${getWithoutSse.status}`);
+      }
+
+      const deleted = await fetch(endpoint, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+      const afterDelete = await post({ jsonrpc: '2.0', id: 5, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+      if (deleted.status !== 204 || afterDelete.status !== 404) {
+        throw new Error('Deleted session is still usable');
+      }
+
+      // Browser requests must come from an allowed origin (DNS rebinding guard)
+      const initialize = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {} } };
+      const foreign = await post(initialize, { Origin: 'http://attacker.example' });
+      const allowed = await post(initialize, { Accept: 'application/json', Origin: 'http://localhost:3000/' });
+      const foreignGet = await fetch(endpoint, { headers: { Accept: 'text/event-stream', Origin: 'http://attacker.example' } });
+      if (foreign.status !== 403 || foreignGet.status !== 403 || allowed.status !== 200) {
+        throw new Error(`Expected 403/403/200 for foreign and allowed origins, got ${foreign.status}/${foreignGet.status}/${allowed.status}`);
+      }
+      await fetch(endpoint, { method: 'DELETE', headers: { 'Mcp-Session-Id': allowed.headers.get('mcp-session-id') } });
+
+      this.log(`Session ${sessionId.slice(0, 8)} answered over SSE and was closed`);
+      return { sseEvents: events.length, partialResults: partials.length };
+    } finally {
+      await close();
+    }
+  }
+
+  // Offline: the Streamable HTTP transport refuses new sessions past maxSessions until one ends
+  async testSessionLimit() {
+    const transport = new StreamableHttpTransport({ maxSessions: 1, allowedOrigins: [] });
+    const app = express();
+    app.use(express.json());
+    app.post('/stream', (req, res) => transport.handlePost(req, res));
+    app.delete('/stream', (req, res) => transport.handleDelete(req, res));
+    const { url, close } = await listen(app);
+    const initialize = () => fetch(`${url}/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {} } })
+    });
+    this.log('Testing MCP session limit');
+
+    try {
+      const first = await initialize();
+      const refused = await initialize();
+      if (first.status !== 200 || refused.status !== 503) {
+        throw new Error(`Expected the second session to be refused, got ${first.status}/${refused.status}`);
+      }
+
+      await fetch(`${url}/stream`, { method: 'DELETE', headers: { 'Mcp-Session-Id': first.headers.get('mcp-session-id') } });
+      const next = await initialize();
+      if (next.status !== 200) {
+        throw new Error(`A session slot was not freed by DELETE (status ${next.status})`);
+      }
+
+      this.log('Second session refused until the first ended');
+      return { sessions: transport.sessions.size };
+    } finally {
+      for (const id of [...transport.sessions.keys()]) transport.closeSession(id);
+      clearInterval(transport.cleanupTimer);
+      await close();
+    }
+  }
+
+  // Store a chunk through the shared embedding service for the duration of `fn(id)`, then delete it
+  async withStoredChunk(text, metadata, fn) {
+    const service = await getEmbeddingService();
+    const id = service.vectorStore.generateId(metadata.source);
+    await service.vectorStore.saveEmbedding(id, await service.generateEmbedding(text), { ...metadata, cleanedContent: text });
+    try {
+      return await fn(id, service);
+    } finally {
+      if (service.vectorStore.index[id]) {
+        await service.vectorStore.deleteEmbedding(id);
+      }
+    }
+  }
+
+  // Offline: knowledge base sections and stored chunks as MCP resources, with change notifications
+  async testMCPResources() {
+    const server = new MCPServer();
+    const notifications = [];
+    server.connect({ send: message => notifications.push(message) });
+    const call = (method, params) => server.handle({ jsonrpc: '2.0', id: 1, method, params });
+    this.log('Testing MCP resources');
+
+    const templates = (await call('resources/templates/list')).result.resourceTemplates;
+    const listed = (await call('resources/list')).result.resources;
+    const triggers = listed.find(resource => resource.uri === 'kb://section/triggers');
+    if (templates.length !== 3 || !triggers) {
+      throw new Error('Templates or knowledge base sections are missing from the resource list');
+    }
+
+    const section = (await call('resources/read', { uri: triggers.uri })).result.contents[0];
+    if (section.mimeType !== 'application/json' || !JSON.parse(section.text)) {
+      throw new Error('Knowledge base section was not returned as JSON');
+    }
+    const missing = await call('resources/read', { uri: 'kb://section/no-such-section' });
+    if (missing.error?.code !== -32002) {
+      throw new Error('Unknown sections must return resource not found');
+    }
+    for (const uri of ['kb://section/constructor', 'kb://section/__proto__', 'kb://section/%E0', 'doc://constructor']) {
+      const inherited = await call('resources/read', { uri });
+      if (inherited.error?.code !== -32002) {
+        throw new Error(`${uri} must return resource not found, got ${JSON.stringify(inherited.result ?? inherited.error)}`);
+      }
+    }
+
+    // Section names are encoded in listed URIs, so names with spaces or slashes stay readable
+    const kb = await getKnowledgeBase();
+    kb.data['test/section two'] = { note: 'encoded' };
+    try {
+      const encoded = (await call('resources/list')).result.resources.find(resource => resource.name === 'Knowledge base: test/section two');
+      if (encoded?.uri !== 'kb://section/test%2Fsection%20two') {
+        throw new Error(`Section names must be encoded in kb URIs, got ${encoded?.uri}`);
+      }
+      const read = (await call('resources/read', { uri: encoded.uri })).result;
+      if (JSON.parse(read.contents[0].text).note !== 'encoded') {
+        throw new Error('Encoded section URI did not read back its section');
+      }
+    } finally {
+      delete kb.data['test/section two'];
+    }
+
+    const source = 'https://example.com/resource-test';
+    const text = 'Resource test chunk about conditioning triggers and relaxation.';
+    const { docText, sourceContents, updated } = await this.withStoredChunk(text, { source, title: 'Resource test', chunk: 0, totalChunks: 1 }, async (id, service) => {
+      const docUri = `doc://${id}`;
+      await call('resources/subscribe', { uri: docUri });
+      const docText = (await call('resources/read', { uri: docUri })).result.contents[0].text;
+      const sourceContents = (await call('resources/read', { uri: `source://${encodeURIComponent(source)}` })).result.contents;
+
+      await service.vectorStore.deleteEmbedding(id);
+      const updated = notifications.some(message => message.method === 'notifications/resources/updated' && message.params.uri === docUri);
+      return { docText, sourceContents, updated };
+    });
+    server.close();
+
+    if (docText !== text || sourceContents.length !== 1 || sourceContents[0].text !== text) {
+      throw new Error('Stored chunk was not readable by doc:// and source:// URIs');
+    }
+    if (!updated || !notifications.some(message => message.method === 'notifications/resources/list_changed')) {
+      throw new Error('Deleting a subscribed chunk did not notify the client');
+    }
+
+    this.log(`Listed ${listed.length} resources from ${templates.length} templates`);
+    return { resources: listed.length, notifications: notifications.length };
+  }
+
+  // Offline: prompt templates rendered from stored chunks and knowledge base sections
+  async testMCPPrompts() {
+    const server = new MCPServer();
+    const call = (method, params) => server.handle({ jsonrpc: '2.0', id: 1, method, params });
+    this.log('Testing MCP prompts');
+
+    const prompts = (await call('prompts/list')).result.prompts;
+    if (!['summarize_source', 'answer_from_kb_section', 'compare_sources', 'research_question'].every(name => prompts.some(prompt => prompt.name === name))) {
+      throw new Error('Expected prompts are missing from prompts/list');
+    }
+
+    const kbPrompt = (await call('prompts/get', { name: 'answer_from_kb_section', arguments: { section: 'triggers', question: 'What are triggers?' } })).result;
+    if (!kbPrompt.messages[0].content.text.includes('kb://section/triggers') || !kbPrompt.messages[0].content.text.includes('What are triggers?')) {
+      throw new Error('Knowledge base prompt does not carry its section and question');
+    }
+
+    const missingArgument = await call('prompts/get', { name: 'answer_from_kb_section', arguments: { section: 'triggers' } });
+    const unknownSection = await call('prompts/get', { name: 'answer_from_kb_section', arguments: { section: 'no-such-section', question: 'q' } });
+    const unknownPrompt = await call('prompts/get', { name: 'no_such_prompt' });
+    // Names inherited from Object.prototype are not sections
+    const inheritedSection = await call('prompts/get', { name: 'answer_from_kb_section', arguments: { section: 'constructor', question: 'q' } });
+    if ([missingArgument, unknownSection, unknownPrompt, inheritedSection].some(response => response.error?.code !== -32602)) {
+      throw new Error('Invalid prompt requests must return invalid params');
+    }
+
+    const source = 'https://example.com/prompt-test';
+    const text = 'Prompt test chunk describing a relaxation induction in detail.';
+    const summary = await this.withStoredChunk(text, { source, title: 'Prompt test', chunk: 0, totalChunks: 1 }, async () =>
+      (await call('prompts/get', { name: 'summarize_source', arguments: { url: source, focus: 'induction' } })).result);
+    if (!summary.messages[0].content.text.includes(text) || !summary.messages[0].content.text.includes('Focus on: induction')) {
+      throw new Error('Source summary prompt does not include the stored content');
+    }
+
+    this.log(`Rendered prompts from ${prompts.length} templates`);
+    return { prompts: prompts.length };
+  }
+
+  // Offline: tool argument validation against a tool's input schema
+  async testSchemaValidator() {
+    const schema = {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri' },
+        limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+        mode: { type: 'string', enum: ['fast', 'full'] },
+        tags: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 3 }
+      },
+      required: ['url'],
+      additionalProperties: false
+    };
+    this.log('Testing schema validation of tool arguments');
+
+    const ok = validate(schema, { url: 'https://example.com', tags: ['a'] });
+    if (!ok.valid || ok.value.limit !== 10) {
+      throw new Error(`Valid arguments rejected or default not applied: ${formatErrors(ok.errors)}`);
+    }
+
+    const bad = validate(schema, {
+      url: 'ftp://example.com',
+      limit: 1.5,
+      mode: 'slow',
+      tags: ['', 'b', 'c', 'd'],
+      extra: true
+    });
+    const keywords = bad.errors.map(error => `${error.path}:${error.keyword}`).sort();
+    const expected = ['extra:additionalProperties', 'limit:type', 'mode:enum', 'tags:maxItems', 'tags[0]:minLength', 'url:format'];
+    if (bad.valid || JSON.stringify(keywords) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected validation errors: ${keywords.join(', ')}`);
+    }
+
+    const missing = validate(schema, {});
+    if (missing.errors[0]?.keyword !== 'required' || missing.errors[0]?.path !== 'url') {
+      throw new Error('Missing required property was not reported');
+    }
+
+    // Tools reject invalid arguments before running and advertise their output schemas
+    const server = new MCPServer();
+    const tooMany = await server.handle({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name: 'batch_url_scraper', arguments: { urls: Array.from({ length: 51 }, (_, i) => `https://example.com/${i}`) } }
+    });
+    if (tooMany.error?.code !== -32602 || tooMany.error.data?.errors?.[0]?.keyword !== 'maxItems') {
+      throw new Error('batch_url_scraper accepted more than 50 URLs');
+    }
+    const tools = (await server.handle({ jsonrpc: '2.0', id: 2, method: 'tools/list' })).result.tools;
+    if (!tools.every(tool => tool.outputSchema?.type === 'object')) {
+      throw new Error('Every tool must declare an output schema');
+    }
+
+    this.log(`Rejected invalid arguments with: ${formatErrors(bad.errors)}`);
+    return { errorsReported: bad.errors.length };
+  }
+
+  // Offline: tools discovered from a directory, toggled by config and validated before they run
+  async testToolRegistry() {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-tools-'));
+    const toolModule = (name, extra = '') => `export default {
+      name: '${name}',
+      description: 'Test tool',
+      input_schema: { type: 'object', properties: { text: { type: 'string', default: 'hi' } } },
+      annotations: { readOnlyHint: true },
+      ${extra}
+      handler: async input => ({ echoed: input.text })
+    };\n`;
+    this.log('Testing MCP tool registry');
+
+    try {
+      await fs.writeFile(path.join(directory, 'echo.js'), toolModule('echo'));
+      await fs.writeFile(path.join(directory, 'hidden.js'), toolModule('hidden', 'enabled: false,'));
+      await fs.writeFile(path.join(directory, 'switchedOff.js'), toolModule('switched_off'));
+      await fs.writeFile(path.join(directory, 'invalid.js'), 'export default { name: "invalid" };\n');
+
+      const registry = new ToolRegistry();
+      await registry.loadDirectory(directory, { switched_off: { enabled: false } });
+      const names = registry.list().map(tool => tool.name);
+      if (JSON.stringify(names) !== JSON.stringify(['echo'])) {
+        throw new Error(`Unexpected tools loaded: ${names.join(', ')}`);
+      }
+      if ((await registry.execute('echo', {})).echoed !== 'hi') {
+        throw new Error('Tool did not run with its schema defaults');
+      }
+      let rejected = null;
+      try {
+        await registry.execute('echo', { text: 5 });
+      } catch (error) {
+        rejected = error.code;
+      }
+      if (rejected !== -32602) {
+        throw new Error('Invalid tool input was not rejected');
+      }
+
+      const builtins = (await getToolRegistry()).list();
+      if (builtins.length < 5 || !builtins.every(tool => tool.annotations)) {
+        throw new Error('Built-in tools are missing or lack annotations');
+      }
+
+      this.log(`Loaded ${names.length} of 4 test tool modules and ${builtins.length} built-in tools`);
+      return { builtins: builtins.length };
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  // Offline: progress notifications for a progress token, and notifications/cancelled stopping a running tool
+  async testProgressAndCancellation() {
+    const server = new MCPServer();
+    const notifications = [];
+    server.connect({ send: message => notifications.push(message) });
+    const scrapeUrl = URLScraper.prototype.scrapeUrl;
+    this.log('Testing MCP progress and cancellation');
+
+    try {
+      URLScraper.prototype.scrapeUrl = async url => ({ success: true, url, data: { title: `Page ${url}` } });
+      const scraped = await server.handle({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: {
+          name: 'batch_url_scraper',
+          arguments: { urls: ['https://example.com/a', 'https://example.com/b'] },
+          _meta: { progressToken: 'batch-1' }
+        }
+      });
+      const progress = notifications.filter(message => message.method === 'notifications/progress');
+      if (scraped.result?.isError || progress.map(message => message.params.progress).join() !== '1,2' ||
+          !progress.every(message => message.params.progressToken === 'batch-1' && message.params.total === 2)) {
+        throw new Error(`Unexpected progress notifications: ${JSON.stringify(progress.map(message => message.params))}`);
+      }
+      // Cancelled requests are never answered, so results do not describe a cancellation
+      if ('cancelled' in scraped.result.structuredContent) {
+        throw new Error('batch_url_scraper results must not carry a cancelled flag that no client can receive');
+      }
+
+      // The second URL hangs until the request is cancelled
+      notifications.length = 0;
+      URLScraper.prototype.scrapeUrl = (url, options) => url.endsWith('/a')
+        ? Promise.resolve({ success: true, url, data: { title: 'Page a' } })
+        : new Promise(resolve => options.signal.addEventListener('abort', () => resolve({ success: false, url, error: 'aborted' })));
+      const pending = server.handle({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: { name: 'batch_url_scraper', arguments: { urls: ['https://example.com/a', 'https://example.com/b'] } }
+      });
+      while (!notifications.some(message => message.params?.data?.type === 'partial_result')) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      await server.handle({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 2, reason: 'test' } });
+      const cancelled = await pending;
+      if (cancelled !== null || server.activeRequests.size !== 0) {
+        throw new Error('Cancelled request was still answered');
+      }
+      const partials = notifications.filter(message => message.params?.data?.type === 'partial_result');
+      if (partials[0]?.params.data.result.url !== 'https://example.com/a') {
+        throw new Error('Partial result for the finished URL was not delivered before cancellation');
+      }
+    } finally {
+      URLScraper.prototype.scrapeUrl = scrapeUrl;
+      server.close();
+    }
+
+    // Content processing stops before embedding once its signal has aborted
+    const service = await getEmbeddingService();
+    const processed = await service.processContent(
+      { title: 'Bambi Sleep triggers', mainContent: 'Bambi sleep hypnosis triggers and bambi conditioning sessions. '.repeat(20) },
+      { source: 'https://example.com/cancelled' },
+      { signal: AbortSignal.abort() }
+    );
+    if (processed.skipped || !processed.cancelled || processed.embeddings.length !== 0) {
+      throw new Error('Aborted content processing still embedded chunks');
+    }
+
+    this.log('Progress reported per URL; cancelled request dropped after its partial result');
+    return { progressNotifications: 2 };
+  }
+
+  // Offline: knowledge base tools called through MCP
+  async testKnowledgeBaseTools() {
+    const server = new MCPServer();
+    const callTool = async (name, args = {}) => (await server.handle({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name, arguments: args }
+    })).result;
+    this.log('Testing knowledge base MCP tools');
+
+    const overview = await callTool('kb_overview');
+    if (overview.isError || !overview.structuredContent.sections.includes('triggers')) {
+      throw new Error('kb_overview did not list the knowledge base sections');
+    }
+
+    const search = (await callTool('kb_search', { query: 'bambi', section: 'triggers', limit: 3 })).structuredContent;
+    if (!search.count || search.count > 3 || !search.results.every(result => result.path[0] === 'triggers')) {
+      throw new Error(`kb_search returned results outside the section or limit: ${JSON.stringify(search.results.map(r => r.path))}`);
+    }
+
+    // Regex metacharacters in a query are matched literally
+    for (const query of ['c++', '(foo', '[bambi']) {
+      const literal = await callTool('kb_search', { query });
+      if (literal.isError) {
+        throw new Error(`kb_search failed on ${query}: ${literal.content[0].text}`);
+      }
+    }
+    const kb = await getKnowledgeBase();
+    if (kb.calculateRelevance('learn c++ today', 'c++') !== 0.8 || kb.calculateRelevance('axb', 'a.b') !== 0) {
+      throw new Error('Whole-word relevance must treat the search term literally');
+    }
+
+    const section = (await callTool('kb_get_section', { section: 'triggers' })).structuredContent;
+    const unknown = await callTool('kb_get_section', { section: 'no_such_section' });
+    if (section.section !== 'triggers' || !section.data || !unknown.isError) {
+      throw new Error('kb_get_section did not return known sections and reject unknown ones');
+    }
+
+    const exported = (await callTool('kb_export', { format: 'summary' })).structuredContent;
+    if (exported.format !== 'summary' || !exported.content.length) {
+      throw new Error('kb_export returned no summary');
+    }
+
+    this.log(`kb_search found ${search.count} trigger results; ${overview.structuredContent.sections.length} sections`);
+    return { sections: overview.structuredContent.sections.length, searchResults: search.count };
+  }
+
+  // Offline: /v1/chat/completions retrieves stored context and forwards to a stubbed LM Studio
+  async testChatProxy() {
+    const text = 'Bambi rag proxy test excerpt about the cloud trigger and deep relaxation.';
+    const source = 'https://example.com/rag-proxy-test';
+    const upstream = await fakeChatUpstream((body, res, count) => count === 3
+      ? res.status(503).json({ error: { message: 'model not loaded' } })
+      : res.json(completion({ content: 'Grounded answer' })));
+    const { url, close } = await listen(await serverApp());
+    const chat = body => fetch(`${url}/v1/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    this.log('Testing retrieval-augmented chat proxy');
+
+    try {
+      await this.withStoredChunk(text, { source, title: 'RAG proxy test' }, async () => {
+        const answered = await chat({ messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: text }] });
+        const body = await answered.json();
+        const [system, user] = upstream.requests[0].messages;
+        if (answered.status !== 200 || body.choices[0].message.content !== 'Grounded answer') {
+          throw new Error(`Upstream answer was not relayed (status ${answered.status})`);
+        }
+        if (upstream.requests[0].messages.length !== 2 || !system.content.startsWith('Be brief.') ||
+            !system.content.includes(source) || user.content !== text) {
+          throw new Error('Retrieved context was not merged into the system message');
+        }
+
+        await chat({ messages: [{ role: 'user', content: text }], rag: false });
+        if (upstream.requests[1].messages.length !== 1 || 'rag' in upstream.requests[1]) {
+          throw new Error('rag: false still injected context');
+        }
+      });
+
+      const failed = await chat({ messages: [{ role: 'user', content: 'hello' }], rag: false });
+      const error = (await failed.json()).error;
+      if (failed.status !== 503 || error.code !== 'upstream_error' || !error.message.includes('model not loaded')) {
+        throw new Error(`Upstream errors were not passed through (status ${failed.status})`);
+      }
+
+      await upstream.close();
+      const unreachable = await chat({ messages: [{ role: 'user', content: 'hello' }], rag: false });
+      if (unreachable.status !== 502 || (await unreachable.json()).error.type !== 'upstream_unavailable') {
+        throw new Error(`Unreachable upstream should give 502, got ${unreachable.status}`);
+      }
+
+      this.log('Context injected into the system message; upstream errors mapped to 503/502');
+      return { upstreamRequests: upstream.requests.length };
+    } finally {
+      await upstream.close();
+      await close();
+    }
+  }
+
+  // Offline: streamed completions are relayed chunk by chunk with finish_reason and usage at the end
+  async testChatStreaming() {
+    const chunk = delta => ({
+      id: 'chatcmpl-stream',
+      object: 'chat.completion.chunk',
+      created: 1,
+      model: 'test-model',
+      choices: [{ index: 0, delta, finish_reason: null }]
+    });
+    const upstream = await fakeChatUpstream((body, res, count) => {
+      if (count === 2) {
+        return res.status(400).json({ error: { message: 'context length exceeded', type: 'invalid_request_error' } });
+      }
+      res.setHeader('Content-Type', 'text/event-stream');
+      const events = [
+        `data: ${JSON.stringify(chunk({ role: 'assistant', content: 'Hello' }))}\n\n`,
+        ': keep-alive\n\n',
+        `data: ${JSON.stringify(chunk({ content: ' world' }))}\n\n`,
+        `data: ${JSON.stringify({ ...chunk({}), choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`,
+        `data: ${JSON.stringify({ ...chunk({}), choices: [], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } })}\n\n`,
+        'data: [DONE]\n\n'
+      ].join('');
+      // Split mid-event so the client has to reassemble events across reads
+      res.write(events.slice(0, 40));
+      setTimeout(() => res.end(events.slice(40)), 10);
+    });
+    const { url, close } = await listen(await serverApp());
+    const chat = () => fetch(`${url}/v1/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ messages: [{ role: 'user', content: 'hi' }], stream: true, rag: false })
+    });
+    this.log('Testing streamed chat completions');
+
+    try {
+      const streamed = await chat();
+      const events = (await streamed.text()).split('\n\n')
+        .filter(event => event.startsWith('data: '))
+        .map(event => event.slice(6));
+      const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+      const content = chunks.map(c => c.choices[0]?.delta.content || '').join('');
+      const last = chunks.at(-1);
+      if (!streamed.headers.get('content-type')?.includes('text/event-stream') || content !== 'Hello world' || events.at(-1) !== '[DONE]') {
+        throw new Error(`Stream was not relayed: ${JSON.stringify(events)}`);
+      }
+      if (last.choices[0].finish_reason !== 'stop' || last.usage?.total_tokens !== 5 ||
+          chunks.slice(0, -1).some(c => c.choices[0].finish_reason)) {
+        throw new Error('finish_reason and usage should arrive together in the final chunk');
+      }
+      if (upstream.requests[0].stream !== true || upstream.requests[0].stream_options?.include_usage !== true) {
+        throw new Error('Upstream was not asked for a stream with usage');
+      }
+
+      // Errors before the first chunk keep their HTTP status and upstream message
+      const failed = await chat();
+      const error = (await failed.json()).error;
+      if (failed.status !== 400 || !error.message.includes('context length exceeded') || error.type !== 'invalid_request_error') {
+        throw new Error(`Upstream stream error was not passed through (status ${failed.status})`);
+      }
+
+      this.log(`Relayed ${chunks.length} chunks ending with finish_reason and usage`);
+      return { chunks: chunks.length };
+    } finally {
+      await upstream.close();
+      await close();
+    }
+  }
+
+  // Offline: registry tool calls run server-side and are fed back; client tool calls go back to the client
+  async testChatToolLoop() {
+    const toolCall = (id, name) => ({ id, type: 'function', function: { name, arguments: '{}' } });
+    const upstream = await fakeChatUpstream((body, res, count) => res.json({
+      1: completion({ content: null, tool_calls: [toolCall('call_1', 'kb_overview')] }, 'tool_calls'),
+      2: completion({ content: 'Done' }),
+      3: completion({ content: null, tool_calls: [toolCall('call_2', 'client_lookup')] }, 'tool_calls'),
+      4: completion({ content: null, tool_calls: [toolCall('call_3', 'kb_overview'), toolCall('call_4', 'client_lookup')] }, 'tool_calls')
+    }[count]));
+    const { url, close } = await listen(await serverApp());
+    const chat = body => fetch(`${url}/v1/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ messages: [{ role: 'user', content: 'What is in the knowledge base?' }], rag: false, ...body })
+    });
+    this.log('Testing chat tool loop');
+
+    try {
+      const answered = await (await chat({})).json();
+      const toolMessage = upstream.requests[1]?.messages.find(message => message.role === 'tool');
+      if (answered.choices[0].message.content !== 'Done' || answered.usage.total_tokens !== 30) {
+        throw new Error('Tool loop did not return the final answer with usage summed over both rounds');
+      }
+      if (!upstream.requests[0].tools.some(tool => tool.function.name === 'kb_overview') ||
+          toolMessage?.tool_call_id !== 'call_1' || !toolMessage.content.includes('identity')) {
+        throw new Error('kb_overview was not advertised, run and fed back to the model');
+      }
+
+      const clientTool = { type: 'function', function: { name: 'client_lookup', parameters: { type: 'object' } } };
+      const delegated = await (await chat({ tools: [clientTool] })).json();
+      if (delegated.choices[0].finish_reason !== 'tool_calls' || delegated.choices[0].message.tool_calls[0].id !== 'call_2' ||
+          upstream.requests.length !== 3) {
+        throw new Error('Client tool call was not returned to the client');
+      }
+
+      // A round mixing both kinds runs the registry call here and hands back only the client's call
+      const mixed = await (await chat({ tools: [clientTool] })).json();
+      const mixedCalls = mixed.choices[0].message.tool_calls;
+      if (mixed.choices[0].finish_reason !== 'tool_calls' || mixedCalls.length !== 1 || mixedCalls[0].id !== 'call_4' ||
+          upstream.requests.length !== 4) {
+        throw new Error(`Mixed round must return only the client tool call: ${JSON.stringify(mixedCalls)}`);
+      }
+    } finally {
+      await upstream.close();
+      await close();
+    }
+
+    // A model that keeps calling tools gets one last round with tool_choice "none"
+    const choices = [];
+    const looped = await runToolLoop({
+      messages: [{ role: 'user', content: 'loop' }],
+      registry: await getToolRegistry(),
+      maxIterations: 2,
+      complete: async (conversation, { tool_choice }) => {
+        choices.push(tool_choice);
+        return {
+          message: { role: 'assistant', content: null, tool_calls: [toolCall(`call_${choices.length}`, 'kb_overview')] },
+          finishReason: 'tool_calls'
+        };
+      }
+    });
+    if (choices.length !== 3 || choices[2] !== 'none' || looped.toolRuns.length !== 2) {
+      throw new Error(`Tool loop was not bounded: ${JSON.stringify(choices)}`);
+    }
+    // Registry calls from the forced round never run, so they are not returned either
+    if (looped.message.tool_calls || looped.finishReason !== 'stop') {
+      throw new Error(`Forced round still returned server-side tool calls: ${JSON.stringify(looped.message)}`);
+    }
+
+    // Directly: the mixed round's registry call runs and is fed into the returned conversation
+    const mixedLoop = await runToolLoop({
+      messages: [{ role: 'user', content: 'mixed' }],
+      registry: await getToolRegistry(),
+      complete: async () => ({
+        message: { role: 'assistant', content: null, tool_calls: [toolCall('call_s', 'kb_overview'), toolCall('call_c', 'client_lookup')] },
+        finishReason: 'tool_calls'
+      })
+    });
+    const fedBack = mixedLoop.messages.find(message => message.role === 'tool');
+    if (mixedLoop.toolRuns.length !== 1 || fedBack?.tool_call_id !== 'call_s' ||
+        mixedLoop.message.tool_calls.map(call => call.id).join() !== 'call_c' || mixedLoop.finishReason !== 'tool_calls') {
+      throw new Error(`Mixed round was not split between server and client: ${JSON.stringify(mixedLoop.message)}`);
+    }
+
+    // Models see tool results without raw vectors, or the tool's own projection
+    const registry = await getToolRegistry();
+    const stripped = modelFacingResult(null, { results: [{ id: 'a', embedding: [0.1, 0.2], metadata: { title: 'A' } }] });
+    const projected = modelFacingResult(registry.get('embedding_search'), [{
+      id: 'b',
+      similarity: 0.9,
+      metadata: { source: 'https://example.com', title: 'B' },
+      embeddingData: { embedding: [0.3, 0.4], metadata: { cleanedContent: 'Chunk text' } }
+    }]);
+    if ('embedding' in stripped.results[0] || stripped.results[0].metadata.title !== 'A' ||
+        JSON.stringify(projected).includes('0.3') || projected.results[0].text !== 'Chunk text') {
+      throw new Error(`Tool results sent to the model still carry vectors: ${JSON.stringify({ stripped, projected })}`);
+    }
+
+    this.log(`Server-side tool fed back in round 2; loop capped after ${looped.toolRuns.length} tool rounds`);
+    return { upstreamRequests: upstream.requests.length, toolRuns: looped.toolRuns.length };
+  }
+
+  // Offline: conversations persist chat turns, and long histories are folded into a summary
+  async testConversationStore() {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'conversations-'));
+    const upstream = await fakeChatUpstream((body, res) => res.json(completion({ content: `Reply ${body.messages.length}` })));
+    const { url, close } = await listen(await serverApp());
+    const request = (method, route, body) => fetch(`${url}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    let conversationId = null;
+    this.log('Testing conversation store');
+
+    try {
+      const store = new ConversationStore(directory);
+      const created = await store.create({ title: 'Concurrent' });
+      await Promise.all(Array.from({ length: 10 }, (_, i) => store.appendMessages(created.id, [{ role: 'user', content: `m${i}` }])));
+      const reloaded = new ConversationStore(directory);
+      if ((await reloaded.get(created.id)).messages.length !== 10 || (await reloaded.list())[0].messageCount !== 10) {
+        throw new Error('Concurrent appends lost messages');
+      }
+      if (await store.get('../index') !== null) {
+        throw new Error('Malformed conversation ids must not be read');
+      }
+
+      // Summaries cover older messages and never split a tool result from its call
+      const long = await store.create({
+        messages: [
+          { role: 'user', content: 'x'.repeat(200) },
+          { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'kb_overview', arguments: '{}' } }] },
+          { role: 'tool', tool_call_id: 'c1', content: 'y'.repeat(200) },
+          { role: 'assistant', content: 'Answer' }
+        ]
+      });
+      const summaryClient = { createCompletion: async () => completion({ content: 'Earlier: asked about x' }) };
+      const summarized = await summarizeConversation(store, summaryClient, long, { maxContextChars: 100, keepRecentMessages: 2 });
+      const history = historyMessages(summarized);
+      if (summarized.summarizedCount !== 1 || !history[0].content.includes('Earlier: asked about x') || history[1].tool_calls?.[0].id !== 'c1') {
+        throw new Error(`Unexpected summary cutoff ${summarized.summarizedCount}`);
+      }
+
+      // Chat with a conversation_id sends the stored history and saves the new turn
+      const conversation = (await (await request('POST', '/api/conversations', {
+        title: 'Chat test',
+        messages: [{ role: 'user', content: 'first' }, { role: 'assistant', content: 'first reply' }]
+      })).json()).conversation;
+      conversationId = conversation.id;
+      const chatted = await request('POST', '/v1/chat/completions', {
+        conversation_id: conversationId,
+        messages: [{ role: 'user', content: 'second' }],
+        rag: false
+      });
+      const reply = await chatted.json();
+      if (chatted.headers.get('x-conversation-id') !== conversationId || reply.conversation_id !== conversationId ||
+          upstream.requests[0].messages.map(message => message.content).join() !== 'first,first reply,second') {
+        throw new Error('Stored history was not prepended to the new messages');
+      }
+
+      let saved = [];
+      for (let attempt = 0; attempt < 50 && saved.length < 4; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        saved = (await (await request('GET', `/api/conversations/${conversationId}`)).json()).conversation.messages;
+      }
+      if (saved.at(-1)?.content !== 'Reply 3' || saved.length !== 4) {
+        throw new Error('Chat turn was not saved to the conversation');
+      }
+
+      const missing = await request('POST', '/v1/chat/completions', { conversation_id: 'conv_0000000000000000', messages: [{ role: 'user', content: 'hi' }] });
+      const invalid = await request('POST', `/api/conversations/${conversationId}/messages`, { role: 'robot', content: 'hi' });
+      if (missing.status !== 404 || invalid.status !== 400) {
+        throw new Error(`Expected 404/400, got ${missing.status}/${invalid.status}`);
+      }
+
+      this.log(`Conversation ${conversationId} saved ${saved.length} messages; summary covers ${summarized.summarizedCount}`);
+      return { savedMessages: saved.length };
+    } finally {
+      if (conversationId) await request('DELETE', `/api/conversations/${conversationId}`);
+      await upstream.close();
+      await close();
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  // Offline: /v1/models lists upstream chat models and the configured embedding providers
+  async testModelListing() {
+    const config = await getConfig();
+    const embeddingModel = config.embedding.providers.find(provider => provider.name === 'lmstudio').model;
+    const upstream = await fakeChatUpstream(() => {}, {
+      models: [{ id: 'chat-a', object: 'model', owned_by: 'organization_owner' }, { id: embeddingModel, object: 'model' }]
+    });
+    const { url, close } = await listen(await serverApp());
+    const get = async route => {
+      const response = await fetch(`${url}${route}`);
+      return { status: response.status, body: await response.json() };
+    };
+    this.log('Testing model listing');
+
+    try {
+      const listed = await get('/v1/models');
+      const ids = listed.body.data.map(model => model.id);
+      const chat = listed.body.data.find(model => model.id === 'chat-a');
+      const embedding = listed.body.data.filter(model => model.id === embeddingModel);
+      if (listed.body.object !== 'list' || chat?.type !== 'chat' || !chat.available || !ids.includes('local-hashing')) {
+        throw new Error(`Unexpected model list: ${ids.join(', ')}`);
+      }
+      if (embedding.length !== 1 || embedding[0].type !== 'embedding' || embedding[0].owned_by !== 'lmstudio') {
+        throw new Error('Embedding models listed upstream should appear once, described by their provider');
+      }
+
+      const single = await get('/v1/models/chat-a');
+      const unknown = await get('/v1/models/no-such-model');
+      if (single.status !== 200 || single.body.id !== 'chat-a' || unknown.status !== 404 || unknown.body.error.code !== 'model_not_found') {
+        throw new Error(`Expected 200/404 for model lookups, got ${single.status}/${unknown.status}`);
+      }
+
+      if (embedding[0].available === undefined || !embedding[0].circuit) {
+        throw new Error('A running embedding service must add availability and circuit state');
+      }
+
+      // Without LM Studio the configured chat model is still listed, marked unavailable
+      await upstream.close();
+      const offline = (await get('/v1/models')).body.data.find(model => model.id === config.chat.model);
+      if (!offline || offline.available !== false) {
+        throw new Error('Configured chat model was not listed as unavailable');
+      }
+
+      // Before the embedding service is ready the providers come from config alone, without runtime state
+      const offlineClient = { listModels: async () => { throw new Error('offline'); } };
+      const fromConfig = await listModels({ client: offlineClient, chatConfig: {}, providerConfigs: config.embedding.providers });
+      const disabled = config.embedding.providers.filter(provider => provider.enabled === false).map(provider => provider.model);
+      if (!fromConfig.some(model => model.id === 'local-hashing') || fromConfig.some(model => disabled.includes(model.id)) ||
+          fromConfig.some(model => 'available' in model || 'circuit' in model)) {
+        throw new Error(`Config-only model list is wrong: ${JSON.stringify(fromConfig)}`);
+      }
+
+      this.log(`Listed ${ids.length} models: ${ids.join(', ')}`);
+      return { models: ids.length };
+    } finally {
+      await upstream.close();
+      await close();
+    }
+  }
+
+  // Offline: /v1/embeddings formats, validation, and strict versus fallback behaviour on provider failure
+  async testEmbeddingsEndpoint() {
+    const { url, close } = await listen(await serverApp());
+    const embed = async body => {
+      const response = await fetch(`${url}/v1/embeddings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+    this.log('Testing /v1/embeddings');
+
+    try {
+      const encoded = await embed({ input: ['first text', 'second text'], encoding_format: 'base64', dimensions: 8 });
+      // Copy out of Node's shared buffer pool before viewing the bytes as float32
+      const bytes = Uint8Array.from(Buffer.from(encoded.body.data?.[0]?.embedding || '', 'base64'));
+      const vector = Array.from(new Float32Array(bytes.buffer));
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      if (encoded.status !== 200 || encoded.body.data.length !== 2 || vector.length !== 8 || Math.abs(norm - 1) > 1e-5) {
+        throw new Error('base64 embeddings were not truncated to 8 normalized float32 values');
+      }
+
+      const invalid = await Promise.all([
+        embed({ input: ['ok', ''] }),
+        embed({ input: 'ok', encoding_format: 'hex' }),
+        embed({ input: 'ok', dimensions: 100000 })
+      ]);
+      if (invalid.some(result => result.status !== 400) || invalid[2].body.error.code !== 'invalid_dimensions') {
+        throw new Error(`Invalid requests should get 400, got ${invalid.map(result => result.status).join('/')}`);
+      }
+
+      const served = await embed({ input: 'hello' });
+      const servedDimensions = served.body.data?.[0]?.embedding.length;
+
+      // The response names the model that produced the vectors, and never mixes two models
+      const generateEmbeddings = EmbeddingService.prototype.generateEmbeddings;
+      const result = (provider, model) => ({ embedding: [1, 0, 0, 0], provider, model, dimensions: 4 });
+      let single;
+      let mixed;
+      try {
+        EmbeddingService.prototype.generateEmbeddings = async texts => texts.map(() => result('lmstudio', 'model-a'));
+        single = await embed({ input: ['one', 'two'], model: 'requested-model' });
+        EmbeddingService.prototype.generateEmbeddings = async () => [result('lmstudio', 'model-a'), result('local', 'local-hashing')];
+        mixed = await embed({ input: ['one', 'two'] });
+      } finally {
+        EmbeddingService.prototype.generateEmbeddings = generateEmbeddings;
+      }
+      if (single.status !== 200 || single.body.model !== 'model-a' || mixed.status !== 503) {
+        throw new Error(`Expected model-a and a 503 for mixed models, got ${single.body.model} and ${mixed.status}`);
+      }
+
+      // Provider failures are errors unless the request opts into fallback vectors
+      EmbeddingService.prototype.generateEmbeddings = async () => {
+        throw new Error('All providers failed');
+      };
+      let strict;
+      let fallback;
+      let repeated;
+      try {
+        strict = await embed({ input: 'hello' });
+        fallback = await embed({ input: 'hello', fallback: true });
+        repeated = await embed({ input: 'hello', fallback: true });
+      } finally {
+        EmbeddingService.prototype.generateEmbeddings = generateEmbeddings;
+      }
+      if (strict.status !== 503 || strict.body.error.code !== 'embeddings_unavailable') {
+        throw new Error(`Strict mode should return 503, got ${strict.status}`);
+      }
+      const fallbackVector = fallback.body.data[0].embedding;
+      if (!fallback.body.fallback || fallback.body.model !== 'deterministic-fallback' || fallbackVector.length !== servedDimensions ||
+          JSON.stringify(fallbackVector) !== JSON.stringify(repeated.body.data[0].embedding)) {
+        throw new Error('Fallback vectors should be flagged, deterministic and sized like the provider that served before');
+      }
+
+      this.log(`Strict failure returned ${strict.status}; fallback gave ${fallbackVector.length}-dimension vectors`);
+      return { fallbackDimensions: fallbackVector.length };
+    } finally {
+      await close();
+    }
+  }
+
+  // Offline: [n] markers in answers map back to the numbered excerpts that were retrieved
+  async testCitations() {
+    const chunks = [1, 2, 3].map(n => ({ id: `chunk-${n}`, source: `https://example.com/${n}`, title: `Page ${n}`, chunk: 0, similarity: 0.9 }));
+    const cited = extractCitations('See [2] and [1, 3][2], not [9].', chunks);
+    if (cited.map(citation => citation.index).join() !== '2,1,3' || cited[0].source !== 'https://example.com/2') {
+      throw new Error(`Citations should follow first use and drop unknown numbers: ${JSON.stringify(cited)}`);
+    }
+
+    // Retrieval returns one known excerpt, so the answer's [1] must resolve to it
+    const source = 'https://example.com/citation-test';
+    const searchSimilar = EmbeddingService.prototype.searchSimilar;
+    EmbeddingService.prototype.searchSimilar = async () => [{
+      id: 'citation-test-chunk',
+      similarity: 0.95,
+      embeddingData: { metadata: { source, title: 'Citation test', chunk: 0, cleanedContent: 'The cloud trigger makes you float deeper.' } }
+    }];
+    const upstream = await fakeChatUpstream((body, res) => res.json(completion({ content: 'It floats [1], as noted [7].' })));
+    const { url, close } = await listen(await serverApp());
+    this.log('Testing chat citations');
+
+    try {
+      const response = await fetch(`${url}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ messages: [{ role: 'user', content: 'What does the cloud trigger do?' }] })
+      });
+      const citations = (await response.json()).choices[0].citations;
+      const system = upstream.requests[0].messages[0].content;
+      if (!system.includes(`[1] Citation test (${source})`) || !system.includes('square brackets')) {
+        throw new Error('Excerpts were not numbered for the model');
+      }
+      if (citations?.length !== 1 || citations[0].index !== 1 || citations[0].id !== 'citation-test-chunk' || citations[0].source !== source) {
+        throw new Error(`Answer citations did not resolve to the retrieved excerpt: ${JSON.stringify(citations)}`);
+      }
+
+      this.log(`Citation [1] resolved to ${citations[0].source}; [7] dropped`);
+      return { citations: citations.length };
+    } finally {
+      EmbeddingService.prototype.searchSimilar = searchSimilar;
+      await upstream.close();
+      await close();
+    }
+  }
+
+  // Offline: texts are embedded in batched requests with bounded concurrency, in input order
+  async testEmbeddingBatching() {
+    const requests = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const app = express();
+    app.use(express.json());
+    app.post('/v1/embeddings', async (req, res) => {
+      const inputs = Array.isArray(req.body.input) ? req.body.input : [req.body.input];
+      requests.push(req.body.input);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      inFlight--;
+
+      if (inputs.includes('bad')) {
+        return res.status(400).json({ error: 'Bad input' });
+      }
+      // Answer out of order; the client must put embeddings back by index
+      const data = inputs.map((text, index) => ({ object: 'embedding', index, embedding: [Number(text.slice(1)), 1] }));
+      res.json({ object: 'list', data: data.reverse() });
+    });
+    const { url, close } = await listen(app);
+    this.log('Testing batched embedding generation');
+
+    try {
+      const generator = generatorWith([
+        new LMStudioProvider({ name: 'lmstudio', url, endpoint: '/v1/embeddings', batchSize: 2, concurrency: 2 })
+      ]);
+
+      const texts = ['t0', 't1', 't2', 't3', 't4', 'bad'];
+      const batches = [];
+      const results = await generator.generateEmbeddings(texts, { onBatch: ({ offset }) => batches.push(offset) });
+      const batchRequests = requests.filter(input => Array.isArray(input));
+      if (batchRequests.length !== 3 || !batchRequests.every(input => input.length === 2) || maxInFlight !== 2) {
+        throw new Error(`Expected 3 requests of 2 texts with 2 in flight, got ${JSON.stringify(batchRequests)} (max ${maxInFlight})`);
+      }
+      if (!results.slice(0, 5).every((result, i) => result.embedding[0] === i) || !results[5].error) {
+        throw new Error('Results were not in input order, or the bad input did not fail on its own');
+      }
+      if (requests.filter(input => !Array.isArray(input)).join() !== 't4,bad' || batches.sort().join() !== '0,2,4') {
+        throw new Error('Only the failed batch should be retried text by text');
+      }
+
+      requests.length = 0;
+      const skipped = await generator.generateEmbeddings(texts, { signal: AbortSignal.abort() });
+      if (requests.length !== 0 || !skipped.every(result => result === null)) {
+        throw new Error('An aborted signal should skip every batch');
+      }
+
+      this.log(`${texts.length} texts embedded in ${batchRequests.length} batched requests, ${maxInFlight} in flight`);
+      return { batchRequests: batchRequests.length, maxInFlight };
+    } finally {
+      await close();
+    }
+  }
+
+  // Offline: repeated texts are served from the cache, and the cache evicts by recency and age
+  async testEmbeddingCache() {
+    const cachePath = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-cache-'));
+    this.log('Testing embedding cache');
+
+    const cache = new EmbeddingCache({ path: cachePath, maxEntries: 10, memoryEntries: 2 });
+    try {
+      if (cacheKey('local', 'model-a', 'text') === cacheKey('local', 'model-b', 'text') ||
+          cacheKey('local', 'model-a', ' Some\n text ') !== cacheKey('local', 'model-a', 'Some text')) {
+        throw new Error('Cache keys must separate models and ignore whitespace differences');
+      }
+
+      // Texts seen before are answered without calling the provider
+      const provider = new LocalHashingProvider({ name: 'local', dimensions: 8, idf: { enabled: false } });
+      // Fixed term-frequency vectors are safe to cache
+      provider.cacheable = true;
+      const generator = generatorWith([provider]);
+      const embedded = [];
+      const generateEmbeddings = provider.generateEmbeddings.bind(provider);
+      provider.generateEmbeddings = texts => {
+        embedded.push(...texts);
+        return generateEmbeddings(texts);
+      };
+      generator.cache = new EmbeddingCache({ path: path.join(cachePath, 'generator') });
+      await generator.cache.initialize();
+
+      const first = await generator.generateEmbeddings(['Hello  world', 'other text']);
+      const second = await generator.generateEmbeddings(['Hello world', ' other text ', 'new text']);
+      clearTimeout(generator.cache.flushTimer);
+      if (embedded.join('|') !== 'Hello  world|other text|new text' || !second[0].cached || !second[1].cached ||
+          JSON.stringify(second[0].embedding) !== JSON.stringify(first[0].embedding)) {
+        throw new Error(`Provider should only embed uncached texts, embedded: ${embedded.join('|')}`);
+      }
+
+      const keys = Array.from({ length: 11 }, (_, i) => cacheKey('test', 'model', `text ${i}`));
+      for (const [i, key] of keys.slice(0, 10).entries()) {
+        await cache.set(key, { embedding: [i, i], provider: 'test', model: 'model' });
+      }
+
+      // Touching the oldest entry makes it the most recently used
+      if ((await cache.get(keys[0]))?.embedding[0] !== 0) {
+        throw new Error('Cached entry was not returned');
+      }
+      await cache.set(keys[10], { embedding: [10, 10], provider: 'test', model: 'model' });
+
+      const stats = cache.getStats();
+      if (stats.entries !== 9 || stats.evictions !== 2) {
+        throw new Error(`Expected 9 entries after 2 evictions, got ${stats.entries} after ${stats.evictions}`);
+      }
+      if (await cache.get(keys[1]) || await cache.get(keys[2]) || !await cache.get(keys[0])) {
+        throw new Error('Eviction did not drop the least recently used entries');
+      }
+      const files = (await fs.readdir(cachePath)).filter(file => file.endsWith('.json') && file !== 'index.json');
+      if (files.length !== 9) {
+        throw new Error(`Evicted entries left ${files.length - 9} files behind`);
+      }
+
+      // Entries past maxAgeDays are misses and are dropped on the next eviction
+      cache.index.get(keys[3]).createdAt = Date.now() - 31 * 24 * 60 * 60 * 1000;
+      if (await cache.get(keys[3])) {
+        throw new Error('Expired entry was returned');
+      }
+      await cache.evict();
+      if (cache.index.has(keys[3])) {
+        throw new Error('Expired entry was not evicted');
+      }
+
+      // A reloaded index keeps access order: keys[4] is now the least recently used, keys[0] the most
+      await cache.flush();
+      const reloaded = new EmbeddingCache({ path: cachePath, maxEntries: 10, memoryEntries: 2 });
+      await reloaded.initialize();
+      const order = [...reloaded.index.keys()];
+      if (order[0] !== keys[4] || order.at(-2) !== keys[10] || order.at(-1) !== keys[0]) {
+        throw new Error('Reloaded cache index lost its access order');
+      }
+
+      this.log(`Cache holds ${cache.getStats().entries} entries after ${cache.getStats().evictions} evictions`);
+      return cache.getStats();
+    } finally {
+      clearTimeout(cache.flushTimer);
+      await fs.rm(cachePath, { recursive: true, force: true });
+    }
+  }
+
+  // Offline: embedding provider circuit breaker, and failover away from an open circuit
+  async testCircuitBreaker() {
+    const health = new ProviderHealth('test', { failureThreshold: 2, resetTimeout: 1000 });
+    const expectState = (state, step) => {
+      if (health.state !== state) {
+        throw new Error(`Expected ${state} ${step}, got ${health.state}`);
+      }
+    };
+    this.log('Testing circuit breaker state transitions');
+
+    health.recordFailure(new Error('timeout'), 10);
+    expectState(CircuitState.CLOSED, 'below the failure threshold');
+    health.recordFailure(new Error('timeout'), 10);
+    expectState(CircuitState.OPEN, 'at the failure threshold');
+    if (health.canAttempt()) {
+      throw new Error('An open circuit must refuse requests');
+    }
+
+    // After resetTimeout one trial request is let through; its failure opens the circuit again
+    health.openedAt -= 1000;
+    if (!health.canAttempt()) {
+      throw new Error('Circuit did not let a trial request through after resetTimeout');
+    }
+    expectState(CircuitState.HALF_OPEN, 'after resetTimeout');
+    health.recordFailure(new Error('still down'), 10);
+    expectState(CircuitState.OPEN, 'after a failed trial');
+
+    // A successful probe also allows a trial, and a successful request closes the circuit
+    health.recordProbe(true);
+    expectState(CircuitState.HALF_OPEN, 'after a successful probe');
+    health.recordSuccess(5);
+    expectState(CircuitState.CLOSED, 'after a successful trial');
+    if (health.consecutiveFailures !== 0) {
+      throw new Error('A success must reset the consecutive failure count');
+    }
+
+    health.recordProbe(false, new Error('connection refused'));
+    expectState(CircuitState.OPEN, 'after a failed probe');
+
+    const stats = health.getStats();
+    if (stats.requests !== 4 || stats.errorRate !== 0.75 || stats.lastProbe?.available !== false) {
+      throw new Error(`Unexpected health stats: ${JSON.stringify(stats)}`);
+    }
+
+    // Once the primary's circuit opens, requests go straight to the fallback provider
+    const primary = new LocalHashingProvider({ name: 'primary', dimensions: 8 });
+    const fallback = new LocalHashingProvider({ name: 'fallback', dimensions: 8 });
+    let primaryCalls = 0;
+    primary.generateEmbedding = async () => {
+      primaryCalls++;
+      throw new Error('connect ECONNREFUSED');
+    };
+    const generator = generatorWith([primary, fallback], { failureThreshold: 1, resetTimeout: 60000 });
+    const first = await generator.generateEmbedding('failover one');
+    const second = await generator.generateEmbedding('failover two');
+    if (first.provider !== 'fallback' || second.provider !== 'fallback' || primaryCalls !== 1 ||
+        generator.getHealthStats().primary.state !== CircuitState.OPEN) {
+      throw new Error(`Open circuit was not skipped (primary called ${primaryCalls} times)`);
+    }
+
+    // Half-open admits one trial at a time; a request that settles without a recorded outcome frees the slot
+    const trial = new ProviderHealth('trial', { resetTimeout: 0 });
+    trial.open();
+    if (!trial.beginAttempt() || trial.beginAttempt() || trial.canAttempt()) {
+      throw new Error('A half-open circuit must admit exactly one trial request');
+    }
+    trial.endAttempt();
+    if (!trial.beginAttempt()) {
+      throw new Error('The trial slot was not released after the trial settled');
+    }
+
+    // Concurrent requests: the first takes the half-open primary's trial, the rest fail over meanwhile
+    const recovering = new LocalHashingProvider({ name: 'recovering', dimensions: 8 });
+    const standby = new LocalHashingProvider({ name: 'standby', dimensions: 8 });
+    let trialCalls = 0;
+    let releaseTrial;
+    const trialGate = new Promise(resolve => {
+      releaseTrial = resolve;
+    });
+    const embedRecovering = recovering.generateEmbedding.bind(recovering);
+    recovering.generateEmbedding = async text => {
+      trialCalls++;
+      await trialGate;
+      return embedRecovering(text);
+    };
+    const concurrent = generatorWith([recovering, standby], { resetTimeout: 0 });
+    concurrent.health.get('recovering').open();
+    const pending = ['trial one', 'trial two', 'trial three'].map(text => concurrent.generateEmbedding(text));
+    const others = await Promise.all(pending.slice(1));
+    releaseTrial();
+    const trialResult = await pending[0];
+    if (trialCalls !== 1 || trialResult.provider !== 'recovering' || others.some(result => result.provider !== 'standby') ||
+        concurrent.getHealthStats().recovering.state !== CircuitState.CLOSED) {
+      throw new Error(`Half-open circuit let ${trialCalls} concurrent trials through`);
+    }
+
+    this.log(`Circuit ended ${stats.state} with error rate ${stats.errorRate}; failover skipped the open primary`);
+    return stats;
+  }
+
+  // Offline: a vector store collection refuses embeddings from other models and searches skip them
+  async testCollectionGuard() {
+    const storePath = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-store-'));
+    this.log('Testing vector store collection guard');
+
+    try {
+      const store = new VectorStore(storePath);
+      await store.initialize();
+      await store.saveEmbedding('first', { embedding: [1, 0, 0], provider: 'a', model: 'm1' }, { source: 'test' });
+
+      const recorded = JSON.parse(await fs.readFile(path.join(storePath, 'collection.json'), 'utf8'));
+      if (recorded.provider !== 'a' || recorded.model !== 'm1' || recorded.dimensions !== 3) {
+        throw new Error(`Unexpected collection: ${JSON.stringify(recorded)}`);
+      }
+
+      for (const embeddingData of [
+        { embedding: [0, 1, 0], provider: 'b', model: 'm2' },
+        { embedding: [0, 1, 0, 0], provider: 'a', model: 'm1' }
+      ]) {
+        try {
+          await store.saveEmbedding('second', embeddingData);
+          throw new Error(`Embedding from ${embeddingData.model} (${embeddingData.embedding.length} dimensions) was accepted`);
+        } catch (error) {
+          if (!(error instanceof CollectionMismatchError) || error.code !== 'collection_mismatch') throw error;
+        }
+      }
+
+      // The collection survives a restart, and searches with another model's query find nothing
+      await store.close();
+      const reopened = new VectorStore(storePath);
+      await reopened.initialize();
+      const same = await reopened.searchSimilar([1, 0, 0], 5, 0.5, { model: 'm1' });
+      const other = await reopened.searchSimilar([1, 0, 0], 5, 0.5, { model: 'm2' });
+      if (reopened.collection?.model !== 'm1' || same.length !== 1 || other.length !== 0) {
+        throw new Error(`Expected 1 match for m1 and none for m2, got ${same.length} and ${other.length}`);
+      }
+
+      // A preferred provider (the one the collection was built with) is tried first while healthy
+      const generator = generatorWith([
+        new LocalHashingProvider({ name: 'primary', dimensions: 8 }),
+        new LocalHashingProvider({ name: 'builder', dimensions: 4 })
+      ]);
+      const preferred = await generator.generateEmbedding('collection provider', { provider: 'builder' });
+      if (preferred.provider !== 'builder' || preferred.dimensions !== 4) {
+        throw new Error(`Expected the collection's provider, got ${preferred.provider}`);
+      }
+
+      const stats = await reopened.getStats();
+      await reopened.close();
+
+      // reembed reads, embeds and writes one page at a time and moves the collection with the first page
+      const migrating = new VectorStore(path.join(storePath, 'reembed'));
+      await migrating.initialize();
+      for (let i = 0; i < 5; i++) {
+        await migrating.saveEmbedding(`chunk-${i}`, { embedding: [1, i, 0], provider: 'old', model: 'm-old' }, { cleanedContent: `Stored chunk number ${i}` });
+      }
+      const newProvider = new LocalHashingProvider({ name: 'new', dimensions: 8 });
+      const service = new EmbeddingService();
+      service.generator = generatorWith([newProvider]);
+      service.vectorStore = migrating;
+      const events = [];
+      const embedText = newProvider.generateEmbedding.bind(newProvider);
+      const embedPage = texts => Promise.all(texts.map(embedText));
+      newProvider.generateEmbeddings = async texts => {
+        events.push('embed');
+        if (texts.some(text => text.endsWith('4'))) throw new Error('provider went away');
+        return embedPage(texts);
+      };
+      const savePage = migrating.saveEmbedding.bind(migrating);
+      migrating.saveEmbedding = (...args) => {
+        events.push('save');
+        return savePage(...args);
+      };
+      newProvider.generateEmbedding = async () => {
+        throw new Error('provider went away');
+      };
+
+      let stopped = null;
+      try {
+        await reembed({ embeddingService: service, batchSize: 2 });
+      } catch (error) {
+        stopped = error;
+      }
+      const migrated = await migrating.listEmbeddings({ model: 'local-hashing' });
+      if (events.join() !== 'embed,save,save,embed,save,save,embed' || migrated.length !== 4 ||
+          migrating.collection.provider !== 'new' || !stopped?.message.includes('run the script again')) {
+        throw new Error(`reembed did not write each page as it was embedded: ${events.join()} (${stopped?.message})`);
+      }
+
+      // Running it again finishes the migration
+      newProvider.generateEmbeddings = embedPage;
+      const finished = await reembed({ embeddingService: service, batchSize: 2 });
+      if (finished.reembedded !== 5 || (await migrating.listEmbeddings({ model: 'm-old' })).length !== 0) {
+        throw new Error('A second reembed run did not finish the migration');
+      }
+      await migrating.close();
+
+      this.log(`Collection ${stats.collection.provider}/${stats.collection.model} refused 2 mismatched embeddings`);
+      return stats.collection;
+    } finally {
+      await fs.rm(storePath, { recursive: true, force: true });
+    }
+  }
+
+  // Offline: Ollama and OpenAI-compatible providers against a fake local server
+  async testSelfHostedProviders() {
+    const requests = [];
+    const app = express();
+    app.use(express.json());
+    app.get('/api/tags', (req, res) => res.json({ models: [{ name: 'nomic-embed-text:latest' }] }));
+    app.post('/api/embeddings', (req, res) => {
+      requests.push({ path: req.path, body: req.body });
+      if (req.body.model !== 'nomic-embed-text') return res.status(404).json({ error: 'model not found' });
+      res.json({ embedding: [req.body.prompt.length, 0.5] });
+    });
+    // A server with its own field names and API key header
+    app.post('/embed', (req, res) => {
+      requests.push({ path: req.path, body: req.body, key: req.get('X-Api-Key') });
+      if (req.get('X-Api-Key') !== 'secret') return res.status(401).json({ error: 'unauthorized' });
+      const vectors = req.body.texts.map((text, position) => ({ position, values: [text.length, 1] }));
+      res.json({ result: { vectors: vectors.reverse() } });
+    });
+    const { url, close } = await listen(app);
+    this.log('Testing self-hosted embedding providers');
+
+    try {
+      const ollama = new OllamaProvider({ name: 'ollama', url, model: 'nomic-embed-text' });
+      const missing = new OllamaProvider({ name: 'ollama', url, model: 'mxbai-embed-large' });
+      if (!await ollama.isAvailable() || await missing.isAvailable()) {
+        throw new Error('Ollama availability must follow the pulled models');
+      }
+      const embeddings = await ollama.generateEmbeddings(['abc', 'abcde']);
+      if (embeddings.map(embedding => embedding[0]).join() !== '3,5' || requests.length !== 2) {
+        throw new Error(`Ollama must embed one prompt per request, got ${JSON.stringify(embeddings)}`);
+      }
+      try {
+        await missing.generateEmbedding('abc');
+        throw new Error('A missing Ollama model must fail');
+      } catch (error) {
+        if (!error.message.includes('ollama pull mxbai-embed-large')) throw error;
+      }
+
+      const providerConfig = {
+        name: 'custom',
+        type: 'openai-compatible',
+        url,
+        endpoint: '/embed',
+        healthEndpoint: null,
+        apiKey: 'secret',
+        auth: { header: 'X-Api-Key', scheme: '' },
+        request: { input: 'texts', model: null, extra: { truncate: true } },
+        response: { data: 'result.vectors', embedding: 'values', index: 'position' }
+      };
+      const custom = new OpenAICompatibleProvider(providerConfig);
+      requests.length = 0;
+      const batch = await custom.generateEmbeddings(['a', 'bb', 'ccc']);
+      const [request] = requests;
+      if (batch.map(embedding => embedding[0]).join() !== '1,2,3' || requests.length !== 1) {
+        throw new Error(`Batch was not mapped back by index: ${JSON.stringify(batch)}`);
+      }
+      if ('model' in request.body || request.body.truncate !== true || request.key !== 'secret') {
+        throw new Error(`Unexpected request: ${JSON.stringify(request)}`);
+      }
+      if (!await custom.isAvailable()) {
+        throw new Error('A provider without a health endpoint must count as available');
+      }
+
+      const unauthorized = new OpenAICompatibleProvider({ ...providerConfig, apiKey: 'wrong' });
+      try {
+        await unauthorized.generateEmbedding('a');
+        throw new Error('A rejected API key must fail');
+      } catch (error) {
+        if (!error.message.includes('authentication failed (HTTP 401)')) throw error;
+      }
+
+      this.log(`Ollama and ${custom.name} providers embedded ${embeddings.length + batch.length} texts`);
+      return { ollama: embeddings.length, custom: batch.length };
+    } finally {
+      await close();
+    }
+  }
+
+  // Offline: the local hashing provider gives lexically meaningful similarity and learns IDF weights
+  async testLocalHashing() {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'local-idf-'));
+    const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+    this.log('Testing local TF-IDF hashing provider');
+
+    try {
+      const plain = new LocalHashingProvider({ name: 'local', dimensions: 384, idf: { enabled: false } });
+      const [query, related, unrelated] = await plain.generateEmbeddings([
+        'Relaxing hypnosis session for deep sleep',
+        'A deep sleep hypnosis session to help you relax',
+        'Quarterly revenue report for the finance team'
+      ]);
+      const again = await plain.generateEmbedding('Relaxing hypnosis session for deep sleep');
+      if (JSON.stringify(again) !== JSON.stringify(query) || Math.abs(cosine(query, query) - 1) > 1e-9) {
+        throw new Error('Term-frequency vectors must be stable and normalized');
+      }
+      if (cosine(query, related) <= cosine(query, unrelated) + 0.2) {
+        throw new Error(`Related text should score well above unrelated text (${cosine(query, related)} vs ${cosine(query, unrelated)})`);
+      }
+
+      // A rebuilt table weighs a feature seen in every document less than a rare one, vectors keep the old
+      // snapshot until the rebuild commits, and the table survives a restart
+      const idfPath = path.join(directory, 'idf.json');
+      const provider = new LocalHashingProvider({ name: 'local', dimensions: 64, idf: { path: idfPath, buckets: 4096 } });
+      const beforeRebuild = await provider.generateEmbedding('common alpha');
+      provider.beginRebuild();
+      provider.learn(['common alpha', 'common beta', 'common gamma']);
+      if (JSON.stringify(await provider.generateEmbedding('common alpha')) !== JSON.stringify(beforeRebuild)) {
+        throw new Error('Vectors must keep the current IDF snapshot until the rebuild commits');
+      }
+      await provider.commitRebuild();
+      // Queries are embedded with the snapshot but never counted
+      await provider.generateEmbedding('common query');
+      if (JSON.stringify(await provider.generateEmbedding('common alpha')) === JSON.stringify(beforeRebuild)) {
+        throw new Error('A committed rebuild must re-weight vectors');
+      }
+
+      const table = new IdfTable({ path: idfPath, buckets: 4096 });
+      await table.load();
+      if (table.documents !== 3 || table.idf('word:common') >= table.idf('word:alpha')) {
+        throw new Error(`Unexpected IDF table: ${table.documents} documents`);
+      }
+
+      // A later rebuild counts only the chunks stored then, so deleted chunks drop out of the table
+      provider.beginRebuild();
+      provider.learn(['common alpha', 'common beta']);
+      await provider.commitRebuild();
+      const rebuilt = JSON.parse(await fs.readFile(idfPath, 'utf8'));
+      if (rebuilt.documents !== 2 || 'ids' in rebuilt) {
+        throw new Error(`Rebuilt table should hold 2 documents and no id list, got ${JSON.stringify(Object.keys(rebuilt))}`);
+      }
+      if (![...extractFeatures('Café au lait').keys()].includes('word:cafe')) {
+        throw new Error('Tokens should be lowercased with accents removed');
+      }
+
+      const mismatched = new IdfTable({ path: idfPath, buckets: 1024 });
+      await mismatched.load();
+      if (mismatched.documents !== 0) {
+        throw new Error('A table built for another bucket count must be ignored');
+      }
+
+      const similarity = cosine(query, related);
+      this.log(`Related texts scored ${similarity.toFixed(2)}; IDF table learned ${table.documents} documents`);
+      return { similarity, documents: table.documents };
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  // Offline: every chunking strategy stays within its limits and points back into the source text
+  async testChunkers() {
+    const sentences = Array.from({ length: 40 }, (_, i) =>
+      `Sentence ${i} explains how trigger number ${i} is reinforced, step by step, through repetition.`);
+    const text = `Introduction\n${sentences.slice(0, 20).join(' ')}\nDeep Dive\n${sentences.slice(20).join(' ')}`;
+    const headings = [{ level: 'H1', text: 'Introduction' }, { level: 'H2', text: 'Deep Dive' }];
+    const deepDive = text.indexOf('Deep Dive');
+    this.log('Testing chunking strategies');
+
+    const counts = {};
+    for (const strategy of CHUNKING_STRATEGIES) {
+      const chunks = chunkText(text, { strategy, chunkSize: 300, overlap: 60, maxTokens: 60, overlapTokens: 10, headings });
+      counts[strategy] = chunks.length;
+
+      for (const chunk of chunks) {
+        if (text.slice(chunk.start, chunk.end) !== chunk.text) {
+          throw new Error(`${strategy}: chunk offsets do not match its text`);
+        }
+        const tooLong = strategy === 'token' ? estimateTokens(chunk.text) > 60 : chunk.text.length > 300;
+        if (tooLong) {
+          throw new Error(`${strategy}: chunk exceeds the size limit`);
+        }
+      }
+      if (chunks[0].start > text.indexOf('Sentence 0') || chunks.at(-1).end !== text.length) {
+        throw new Error(`${strategy}: chunks do not cover the text`);
+      }
+      if (strategy === 'heading') {
+        if (chunks.some(chunk => chunk.start < deepDive && chunk.end > deepDive)) {
+          throw new Error('heading: a chunk crosses a heading');
+        }
+        if (chunks.at(-1).headingPath.join(' > ') !== 'Introduction > Deep Dive') {
+          throw new Error(`heading: unexpected heading path ${chunks.at(-1).headingPath.join(' > ')}`);
+        }
+      }
+    }
+
+    // An overlap as large as the chunk is capped at half of it, so each chunk moves at least a quarter
+    // chunk forward and the chunk count stays bounded
+    for (const strategy of ['character', 'recursive', 'token']) {
+      const chunks = chunkText(text, { strategy, chunkSize: 300, overlap: 300, maxTokens: 60, overlapTokens: 60 });
+      const limit = strategy === 'token' ? 4 * Math.ceil(estimateTokens(text) / 60) + 2 : 4 * Math.ceil(text.length / 300) + 2;
+      if (chunks.length > limit) {
+        throw new Error(`${strategy}: overlap was not capped (${chunks.length} chunks)`);
+      }
+    }
+
+    // A character window cut short at a boundary must not repeat more than half of itself
+    const words = 'word '.repeat(200);
+    const shortWindows = chunkText(words, { strategy: 'character', chunkSize: 100, overlap: 90 });
+    for (const [i, chunk] of shortWindows.slice(1).entries()) {
+      const previous = shortWindows[i];
+      if (chunk.start - previous.start < Math.floor((previous.end - previous.start) / 2)) {
+        throw new Error('character: a chunk repeated more than half of the previous one');
+      }
+    }
+
+    for (const options of [{ strategy: 'paragraph' }, { strategy: 'heading', sectionStrategy: 'paragraph' }]) {
+      let rejected = false;
+      try {
+        chunkText(text, options);
+      } catch (error) {
+        rejected = /Unknown chunking strategy: paragraph/.test(error.message);
+      }
+      if (!rejected) {
+        throw new Error(`Unknown chunking strategy was accepted: ${JSON.stringify(options)}`);
+      }
+    }
+
+    this.log(`Chunks per strategy: ${JSON.stringify(counts)}`);
+    return counts;
+  }
+
+  // Offline: HNSW recall against exact search, save/load round trip and deletes
+  async testHnswIndex() {
+    const basePath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'hnsw-')), 'hnsw');
+    const vectors = randomVectors(600, 32);
+    const queries = randomVectors(20, 32, 7);
+    const index = new HnswIndex({ dimensions: 32 });
+    vectors.forEach((vector, i) => index.add(`v${i}`, vector));
+    this.log('Testing HNSW index recall and persistence');
+
+    try {
+      const recall = idx => {
+        let found = 0;
+        for (const query of queries) {
+          const exact = new Set(idx.exactSearch(query, 10).map(hit => hit.id));
+          found += idx.search(query, 10).filter(hit => exact.has(hit.id)).length;
+        }
+        return found / (queries.length * 10);
+      };
+      const recallAt10 = recall(index);
+      if (recallAt10 < 0.9) {
+        throw new Error(`Recall@10 is ${recallAt10}`);
+      }
+
+      await index.save(basePath, { versions: { v0: 'saved' } });
+      const loaded = await HnswIndex.load(basePath, { dimensions: 32 });
+      if (!loaded || loaded.meta.versions.v0 !== 'saved' || loaded.index.size !== 600) {
+        throw new Error('Saved index did not load back with its metadata');
+      }
+      const before = index.search(queries[0], 10).map(hit => hit.id).join();
+      if (loaded.index.search(queries[0], 10).map(hit => hit.id).join() !== before) {
+        throw new Error('Loaded index answers differently from the saved one');
+      }
+      if (await HnswIndex.load(basePath, { dimensions: 64 }) !== null) {
+        throw new Error('Index saved for other dimensions was loaded');
+      }
+
+      // Saves go through temp files, and a graph paired with another save's vectors is rejected
+      const other = new HnswIndex({ dimensions: 32 });
+      randomVectors(600, 32, 5).forEach((vector, i) => other.add(`v${i}`, vector));
+      const otherPath = `${basePath}-other`;
+      await Promise.all([index.save(basePath, { versions: { v0: 'saved' } }), other.save(otherPath)]);
+      if ((await fs.readdir(path.dirname(basePath))).some(file => file.endsWith('.tmp'))) {
+        throw new Error('Save left temp files behind');
+      }
+      await fs.copyFile(`${otherPath}.bin`, `${basePath}.bin`);
+      if (await HnswIndex.load(basePath, { dimensions: 32 }) !== null) {
+        throw new Error('Index with vectors from another save was loaded');
+      }
+
+      // Deleted vectors stop matching; past maxDeletedRatio the graph asks to be rebuilt
+      const target = vectors[5];
+      index.remove('v5');
+      if (index.search(target, 5).some(hit => hit.id === 'v5') || index.has('v5')) {
+        throw new Error('Deleted vector is still returned');
+      }
+      for (let i = 0; i < 140; i++) index.remove(`v${i + 10}`);
+      if (index.needsRebuild()) {
+        throw new Error('Rebuild requested below maxDeletedRatio');
+      }
+      for (let i = 0; i < 20; i++) index.remove(`v${i + 200}`);
+      if (!index.needsRebuild() || recall(index) < 0.8) {
+        throw new Error('Rebuild not requested past maxDeletedRatio or recall collapsed');
+      }
+
+      // Deleting a query's whole neighbourhood still leaves k live results
+      const crowded = new HnswIndex({ dimensions: 32 });
+      vectors.forEach((vector, i) => crowded.add(`v${i}`, vector));
+      crowded.exactSearch(queries[1], 150).forEach(hit => crowded.remove(hit.id));
+      const survivors = crowded.search(queries[1], 10);
+      if (survivors.length !== 10 || survivors.some(hit => !crowded.has(hit.id))) {
+        throw new Error(`Expected 10 live results past deleted neighbours, got ${survivors.length}`);
+      }
+
+      this.log(`Recall@10: ${recallAt10.toFixed(2)}, ${index.deleted} deleted of ${index.nodes.length} nodes`);
+      return { recallAt10, size: index.size, deleted: index.deleted };
+    } finally {
+      await fs.rm(path.dirname(basePath), { recursive: true, force: true });
+    }
+  }
+
+  // Offline: overwrites past maxDeletedRatio rebuild the vector store's ANN index in the background,
+  // and a reopened store only replays the writes its saved graph missed
+  async testAnnRebuild() {
+    const storePath = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-store-'));
+    const options = { indexing: true, index: {}, compression: true };
+    const embedding = vector => ({ embedding: vector, provider: 'test', model: 'test-model', dimensions: vector.length });
+    const vectors = randomVectors(300, 16, 3);
+    this.log('Testing vector store ANN rebuild');
+
+    let store = new VectorStore(storePath);
+    try {
+      await store.initialize(options);
+      for (const [i, vector] of vectors.entries()) {
+        await store.saveEmbedding(`e${i}`, embedding(vector), { source: 'test' });
+      }
+
+      // Overwriting 45% of the vectors leaves enough deleted nodes to start a rebuild
+      const replacements = randomVectors(135, 16, 11);
+      for (const [i, vector] of replacements.entries()) {
+        await store.saveEmbedding(`e${i}`, embedding(vector), { source: 'test' });
+      }
+      await store.annBuild?.promise;
+      const { nodes, size, deleted } = store.annIndex;
+      if (nodes.length >= 300 + replacements.length || store.annIndex.needsRebuild() || size !== 300) {
+        throw new Error(`Index was not rebuilt: ${size} vectors, ${deleted} deleted of ${nodes.length} nodes`);
+      }
+      const [hit] = await store.searchSimilar(replacements[0], 1, 0);
+      if (hit?.id !== 'e0') {
+        throw new Error('Rebuilt index did not find an overwritten vector');
+      }
+      await store.close();
+
+      // A write the saved graph missed is replayed on startup instead of rebuilding everything
+      store = new VectorStore(storePath);
+      await store.initialize({ ...options, indexing: false });
+      await store.deleteEmbedding('e299');
+      await store.close();
+
+      store = new VectorStore(storePath);
+      await store.initialize(options);
+      await store.annBuild?.promise;
+      if (store.annIndex?.size !== 299 || store.annIndex.has('e299')) {
+        throw new Error('Reopened store did not catch up with the missed delete');
+      }
+
+      this.log(`Index holds ${store.annIndex.size} vectors after rebuild and restart`);
+      return { vectors: store.annIndex.size };
+    } finally {
+      await store.close();
+      await fs.rm(storePath, { recursive: true, force: true });
+    }
+  }
+
+  // Offline: vector encodings, segment log replay, compaction, torn log lines and the store lock
+  async testSegmentStore() {
+    const storePath = await fs.mkdtemp(path.join(os.tmpdir(), 'segments-'));
+    const vectors = randomVectors(40, 24, 5);
+    const open = async (options = {}) => {
+      const store = new SegmentStore(storePath, { maxSegmentBytes: 2048, minCompactBytes: 0, ...options });
+      await store.open();
+      return store;
+    };
+    // Release the lock, then replay the directory in a fresh store
+    const reopen = async previous => {
+      await previous.close();
+      return open();
+    };
+    this.log('Testing segment storage');
+
+    // Worst-case error per encoding for values in [-0.5, 0.5)
+    const tolerances = { float32: 1e-6, float16: 1e-3, int8: 0.5 / 127 };
+    for (const [encoding, tolerance] of Object.entries(tolerances)) {
+      const decoded = decodeVector(encodeVector(vectors[0], encoding), encoding, vectors[0].length);
+      const error = Math.max(...decoded.map((value, i) => Math.abs(value - vectors[0][i])));
+      if (error > tolerance) {
+        throw new Error(`${encoding} round trip is off by ${error}`);
+      }
+    }
+
+    let store = await open({ vectorEncoding: 'float16' });
+    try {
+      for (const [i, vector] of vectors.entries()) {
+        await store.put({ id: `s${i % 20}` }, vector, { i });
+      }
+      await store.remove('s19');
+      const expected = await store.read('s3');
+
+      // Replaying the log restores the latest write of every id
+      store = await reopen(store);
+      const replayed = await store.read('s3');
+      if (store.entries.size !== 19 || store.entries.has('s19') || replayed.metadata.i !== 23 ||
+          replayed.vector.join() !== expected.vector.join()) {
+        throw new Error('Log replay did not restore the latest writes');
+      }
+
+      // Compaction keeps every live record and drops the overwritten and deleted ones
+      const before = store.getStats();
+      await store.compact();
+      const after = store.getStats();
+      if (after.deadBytes !== 0 || after.segmentBytes >= before.segmentBytes) {
+        throw new Error(`Compaction reclaimed nothing: ${before.segmentBytes} -> ${after.segmentBytes} bytes`);
+      }
+      store = await reopen(store);
+      if (store.entries.size !== 19 || (await store.read('s3')).vector.join() !== expected.vector.join()) {
+        throw new Error('Compacted store lost records');
+      }
+
+      // A read that looked up its record just before compaction removed the old segment still finds it
+      for (const [i, vector] of vectors.slice(0, 10).entries()) {
+        await store.put({ id: `s${i}` }, vector, { i: `again-${i}` });
+      }
+      const readBytes = store.readBytes.bind(store);
+      let releaseRead;
+      const compacted = new Promise(resolve => {
+        releaseRead = resolve;
+      });
+      store.readBytes = async location => {
+        store.readBytes = readBytes;
+        await compacted;
+        return readBytes(location);
+      };
+      const reading = store.read('s3');
+      await store.compact();
+      releaseRead();
+      if ((await reading).metadata.i !== 'again-3') {
+        throw new Error('Read racing compaction returned the wrong record');
+      }
+
+      // A partial last log line from a crash is cut off and the store stays writable
+      await fs.appendFile(store.logPath, '{"op":"put","entry":{"id":"torn"');
+      store = await reopen(store);
+      if (store.entries.has('torn') || store.entries.size !== 19) {
+        throw new Error('Torn log line was not dropped');
+      }
+      await store.put({ id: 'after-crash' }, vectors[1], { i: 'after' });
+      store = await reopen(store);
+      if ((await store.read('after-crash')).metadata.i !== 'after') {
+        throw new Error('Write after a torn log line was lost');
+      }
+
+      // A second store on the same directory is read-only while the first holds the lock
+      const second = await open();
+      let locked = false;
+      try {
+        await second.put({ id: 'second' }, vectors[2], {});
+      } catch (error) {
+        locked = error.code === 'store_locked';
+      }
+      await second.close();
+      if (!second.readOnly || !locked) {
+        throw new Error('Second store on a locked directory accepted a write');
+      }
+
+      this.log(`Compacted ${before.segmentBytes} to ${after.segmentBytes} bytes; ${store.entries.size} records after replay`);
+      return { before: before.segmentBytes, after: after.segmentBytes, records: store.entries.size };
+    } finally {
+      await store.close();
+      await fs.rm(storePath, { recursive: true, force: true });
+    }
+  }
+
+  // Test 10: Full Pipeline Integration
+  async testFullPipeline() {
+    const testUrl = TEST_URLS[0];
+    this.log(`Testing full pipeline integration with: ${testUrl}`);
+    
+    // Step 1: Fetch content
+    this.log('Step 1: Fetching content with enhanced fetcher');
+    const fetchResult = await enhancedFetcher.smartFetch(testUrl, { timeout: 15000 });
+    
+    if (!fetchResult.success) {
+      throw new Error(`Fetch failed: ${fetchResult.error}`);
+    }
+    
+    // Step 2: Process and analyze
+    this.log('Step 2: Processing content with enhanced analysis');
+    const processResult = await enhancedTextProcessor.processText(
+      fetchResult.data.content.mainContent, 
+      { 
+        url: testUrl,
+        enhanced: true,
+        title: fetchResult.data.content.title
+      }
+    );
+    
+    // Step 3: Generate embeddings
+    this.log('Step 3: Generating embeddings');
+    const service = await getEmbeddingService();
+    
+    const embeddingResult = await service.processContent({
+      title: fetchResult.data.content.title,
+      description: fetchResult.data.content.description,
+      mainContent: processResult.text,
+      wordCount: processResult.analysis?.wordCount || 0
+    }, {
+      url: testUrl,
+      timestamp: new Date().toISOString(),
+      source: 'unified-test-pipeline'
+    });
+    
+    this.log(`Pipeline completed successfully`);
+    this.log(`Content length: ${processResult.text?.length || 0} chars`);
+    this.log(`Relevance score: ${processResult.analysis?.relevanceScore?.toFixed(3) || 'N/A'}`);
+    this.log(`Quality score: ${processResult.analysis?.qualityScore?.toFixed(3) || 'N/A'}`);
+    this.log(`Embeddings generated: ${embeddingResult.embeddings?.length || 0}`);
+    
+    return {
+      url: testUrl,
+      method: fetchResult.method,
+      contentLength: processResult.text?.length || 0,
+      relevanceScore: processResult.analysis?.relevanceScore,
+      qualityScore: processResult.analysis?.qualityScore,
+      category: processResult.analysis?.category,
+      embeddingsGenerated: embeddingResult.embeddings?.length || 0,
+      provider: embeddingResult.provider
+    };
+  }
+  async runAllTests() {
+    console.log('🚀 Starting Unified Test Suite for LM Studio URL Scraper Toolset\n');
+    console.log('🎯 Primary test target: bambisleep.info (comprehensive testing)');
+    console.log('📊 Testing all modules with BambiSleep-focused content analysis');
+    console.log('=' .repeat(80));
+    
+    const startTime = Date.now();
+
+    // Offline tests need no network or running server; each runs even if another fails
+    const offlineTests = [
+      ['Relevance Calculation (BambiSleep scoring)', () => this.testRelevanceCalculation()],
+      ['MCP JSON-RPC (protocol handshake)', () => this.testMCPJsonRpc()],
+      ['MCP stdio Transport (entry point)', () => this.testStdioTransport()],
+      ['MCP Streamable HTTP (sessions and SSE)', () => this.testStreamableHttp()],
+      ['MCP Session Limit (Streamable HTTP)', () => this.testSessionLimit()],
+      ['MCP Resources (read and subscribe)', () => this.testMCPResources()],
+      ['MCP Prompts (grounded templates)', () => this.testMCPPrompts()],
+      ['Schema Validator (tool arguments)', () => this.testSchemaValidator()],
+      ['MCP Tool Registry (discovery and config)', () => this.testToolRegistry()],
+      ['MCP Progress and Cancellation (long-running tools)', () => this.testProgressAndCancellation()],
+      ['Knowledge Base Tools (search and sections)', () => this.testKnowledgeBaseTools()],
+      ['Chat Proxy (retrieval-augmented completions)', () => this.testChatProxy()],
+      ['Chat Streaming (SSE relay)', () => this.testChatStreaming()],
+      ['Chat Tool Loop (MCP tools in completions)', () => this.testChatToolLoop()],
+      ['Conversation Store (history and summaries)', () => this.testConversationStore()],
+      ['Model Listing (/v1/models)', () => this.testModelListing()],
+      ['Embeddings Endpoint (strict and fallback)', () => this.testEmbeddingsEndpoint()],
+      ['Chat Citations (numbered excerpts)', () => this.testCitations()],
+      ['Embedding Batching (bounded concurrency)', () => this.testEmbeddingBatching()],
+      ['Embedding Cache (hits and eviction)', () => this.testEmbeddingCache()],
+      ['Circuit Breaker (provider health)', () => this.testCircuitBreaker()],
+      ['Vector Store Collections (model guard)', () => this.testCollectionGuard()],
+      ['Self-hosted Embedding Providers (Ollama and OpenAI-compatible)', () => this.testSelfHostedProviders()],
+      ['Local Hashing Embeddings (TF-IDF)', () => this.testLocalHashing()],
+      ['Chunkers (strategies and headings)', () => this.testChunkers()],
+      ['HNSW Index (recall and persistence)', () => this.testHnswIndex()],
+      ['Vector Store (ANN rebuild)', () => this.testAnnRebuild()],
+      ['Segment Store (replay, compaction, recovery)', () => this.testSegmentStore()]
+    ];
+    for (const [name, test] of offlineTests) {
+      await this.runTest(name, test).catch(() => {});
+    }
+
+    try {      // Run the network tests in optimized order; they stop at the first failure
       await this.runTest('Basic URL Scraper (bambisleep.info)', () => this.testBasicScraper());
       await this.runTest('Browser Manager (JS detection)', () => this.testBrowserManager());
       await this.runTest('Enhanced Fetcher (smart routing)', () => this.testEnhancedFetcher());
@@ -491,7 +2609,6 @@ class UnifiedTestSuite {
       await this.runTest('Embedding Service (vector generation)', () => this.testEmbeddingService());
       await this.runTest('URL Test Function (capability detection)', () => this.testUrlTestFunction());
       await this.runTest('Batch Processing (multiple URLs)', () => this.testBatchProcessing());
-      await this.runTest('Relevance Calculation (BambiSleep scoring)', () => this.testRelevanceCalculation());
       await this.runTest('BambiSleep Content Validation (structure)', () => this.testBambiSleepContentValidation());
       await this.runTest('MCP API (server integration)', () => this.testMCPAPI());
       await this.runTest('Full Pipeline Integration (end-to-end)', () => this.testFullPipeline());